@@ -0,0 +1,182 @@
+#!/usr/bin/env node
+/*
+ * MIT License
+ * Copyright (c) 2020 Carlos Henrique Reche
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in
+ * all copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ */
+
+/**
+ * matrix-monitor
+ *
+ * The digital rain in the terminal, e.g. as an SSH login banner:
+ *
+ *   matrix-monitor --draw skull --duration 30s
+ *
+ * Any key, Ctrl+C or the end of the duration brings the shell back.
+ *
+ * @url https://github.com/carlosreche/matrix-monitor
+ * @author Carlos Henrique Reche
+ */
+
+import {readFileSync} from 'node:fs'
+import {parseArgs} from 'node:util'
+// the core and the terminal only, leaving the browser code out
+import MatrixMonitor from '../src/matrix-monitor-core.js'
+import '../src/matrix-monitor-terminal.js'
+import '../src/matrix-monitor-fonts.js'
+
+const usage = `Usage: matrix-monitor [options]
+
+Options:
+  --draw <image>      an image of MatrixMonitor.Image (skull, alien) or a text file
+  --text <text>       a message drawn with the banner font
+  --duration <time>   how long it rains, like 30s, 2m or 500ms, plain numbers being ms
+                      (until a key is pressed by default)
+  --theme <name>      green, red-alert, blue-pill, amber or rainbow
+  --palette <name>    rainbow, matrix, embers, depth or traffic-lights
+  --charset <names>   katakana, latin, digits, binary, hex, braille or runes, mixed with commas
+  --mode <mode>       classic or trail
+  --speed <scale>     speed of the scene, like 0.5 for slow motion
+  --seed <seed>       the same rain on every run
+  -h, --help          shows this help`
+
+const fail = (message) => {
+  process.stderr.write(`matrix-monitor: ${message}\n`)
+  process.exit(1)
+}
+
+const readImage = (name) => {
+  const image = MatrixMonitor.Image[name.replace(/-/g, '_').toUpperCase()]
+  if (typeof image === 'string') {
+    return image
+  }
+  try {
+    return readFileSync(name, 'utf8')
+  } catch (error) {
+    fail(`cannot find image: ${name}`)
+  }
+}
+
+let args = null
+try {
+  args = parseArgs({
+    options: {
+      draw: {type: 'string'},
+      text: {type: 'string'},
+      duration: {type: 'string'},
+      theme: {type: 'string'},
+      palette: {type: 'string'},
+      charset: {type: 'string'},
+      mode: {type: 'string'},
+      speed: {type: 'string'},
+      seed: {type: 'string'},
+      help: {type: 'boolean', short: 'h'}
+    }
+  }).values
+} catch (error) {
+  fail(error.message)
+}
+if (args.help) {
+  process.stdout.write(usage + '\n')
+  process.exit(0)
+}
+if (!process.stdout.isTTY) {
+  fail('the output is not a terminal')
+}
+
+const options = {
+  // wide characters would make every cell two columns wide
+  alphabet: [...MatrixMonitor.DEFAULT_OPTIONS.alphabet]
+    .filter(glyph => !MatrixMonitor.Charset.isWide(glyph))
+    .join(''),
+  initialDelay: 0,
+  minCharStartDelay: 0,
+  maxCharStartDelay: 3000,
+  mainLoopInterval: 3000,
+  autoPause: false
+}
+for (const name of ['theme', 'palette', 'mode']) {
+  if (args[name] !== undefined) {
+    options[name] = args[name]
+  }
+}
+if (args.charset !== undefined) {
+  options.charset = args.charset.split(',').map(name => name.trim())
+}
+if (args.speed !== undefined) {
+  options.timeScale = Number(args.speed)
+}
+if (args.seed !== undefined) {
+  options.seed = args.seed
+}
+
+// every argument is checked before the terminal is taken over, which
+// failing afterwards would leave in raw mode on the alternate screen
+let image = null
+let duration = null
+try {
+  MatrixMonitor.Config.validate(options)
+  if (args.duration !== undefined) {
+    duration = MatrixMonitor.Config.parseDuration(args.duration)
+  }
+} catch (error) {
+  fail(error.message)
+}
+if (args.draw !== undefined) {
+  image = readImage(args.draw)
+}
+
+let monitor = null
+try {
+  monitor = new MatrixMonitor(process.stdout, options)
+} catch (error) {
+  fail(error.message)
+}
+
+let isClosed = false
+const close = () => {
+  if (isClosed) {
+    return
+  }
+  isClosed = true
+  monitor.destroy()
+  if (process.stdin.isTTY) {
+    process.stdin.setRawMode(false)
+  }
+  process.exit(0)
+}
+process.on('SIGINT', close)
+process.on('SIGTERM', close)
+if (process.stdin.isTTY) {
+  process.stdin.setRawMode(true)
+  process.stdin.resume()
+  process.stdin.once('data', close)
+}
+
+monitor.start()
+if (image !== null) {
+  monitor.draw(image, {anchor: 'center', delay: 2000, duration: null})
+}
+if (args.text !== undefined) {
+  monitor.drawText(args.text, {anchor: 'center', delay: 2000, duration: null})
+}
+if (duration !== null) {
+  setTimeout(close, duration)
+}
@@ -0,0 +1,5456 @@
+/*
+ * MIT License
+ * Copyright (c) 2020 Carlos Henrique Reche
+ * 
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ * 
+ * The above copyright notice and this permission notice shall be included in
+ * all copies or substantial portions of the Software.
+ * 
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ */
+
+/**
+ * MatrixMonitor core
+ * 
+ * Creates the digital rain from The Matrix (c) movies, knowing nothing of
+ * where it rains: hosts and renderers come from matrix-monitor-dom.js and
+ * matrix-monitor-terminal.js, and the banner font from matrix-monitor-fonts.js,
+ * all of them brought along by matrix-monitor.js. In Node, the core and the
+ * terminal make it rain without any browser code.
+ * 
+ * @url https://github.com/carlosreche/matrix-monitor
+ * @author Carlos Henrique Reche
+ */
+
+ // private fields
+const _container = Symbol('MatrixMonitor._container')
+const _options = Symbol('MatrixMonitor._options')
+const _deferred = Symbol('MatrixMonitor._deferred')
+const _monitor = Symbol('MatrixMonitor._context')
+const _initialize = Symbol('MatrixMonitor._initialize')
+const _defer = Symbol('MatrixMonitor._defer')
+const _call = Symbol('MatrixMonitor._call')
+const _control = Symbol('MatrixMonitor._control')
+const _start = Symbol('MatrixMonitor._start')
+const _pause = Symbol('MatrixMonitor._pause')
+const _resume = Symbol('MatrixMonitor._resume')
+const _stop = Symbol('MatrixMonitor._stop')
+const _glitch = Symbol('MatrixMonitor._glitch')
+const _draw = Symbol('MatrixMonitor._draw')
+const _write = Symbol('MatrixMonitor._write')
+const _region = Symbol('MatrixMonitor._region')
+const _controlRegion = Symbol('MatrixMonitor._controlRegion')
+const _restore = Symbol('MatrixMonitor._restore')
+const _replay = Symbol('MatrixMonitor._replay')
+
+const noop = () => {}
+
+// waits for <img> elements still loading, calling back right away otherwise;
+// fail gets the error of those that can't be decoded
+const whenLoaded = (image, callback, fail) => {
+  const isLoading = (typeof HTMLImageElement !== 'undefined')
+    && (image instanceof HTMLImageElement)
+    && !image.complete
+  if (isLoading) {
+    image.decode().then(() => callback(), fail)
+  } else {
+    callback()
+  }
+}
+
+// how often, in ms, settled characters get the chance to mutate
+const mutationTick = 100
+
+// how long, in ms, painted changes are kept for the "déjà vu" glitch
+const historyWindow = 5000
+
+const paintedProperties = ['char', 'color', 'opacity', 'backgroundColor', 'glow', 'mirrored']
+
+// characters fainter than this are left out of text and terminal output
+const minVisibleOpacity = 0.05
+
+const parsedColors = new Map()
+
+// the named colors of CSS, as hex, for places without a canvas to read them
+const namedColors = new Map(Array.from(`
+  aliceblue f0f8ff antiquewhite faebd7 aqua 00ffff aquamarine 7fffd4 azure f0ffff
+  beige f5f5dc bisque ffe4c4 black 000000 blanchedalmond ffebcd blue 0000ff
+  blueviolet 8a2be2 brown a52a2a burlywood deb887 cadetblue 5f9ea0 chartreuse 7fff00
+  chocolate d2691e coral ff7f50 cornflowerblue 6495ed cornsilk fff8dc crimson dc143c
+  cyan 00ffff darkblue 00008b darkcyan 008b8b darkgoldenrod b8860b darkgray a9a9a9
+  darkgreen 006400 darkgrey a9a9a9 darkkhaki bdb76b darkmagenta 8b008b
+  darkolivegreen 556b2f darkorange ff8c00 darkorchid 9932cc darkred 8b0000
+  darksalmon e9967a darkseagreen 8fbc8f darkslateblue 483d8b darkslategray 2f4f4f
+  darkslategrey 2f4f4f darkturquoise 00ced1 darkviolet 9400d3 deeppink ff1493
+  deepskyblue 00bfff dimgray 696969 dimgrey 696969 dodgerblue 1e90ff firebrick b22222
+  floralwhite fffaf0 forestgreen 228b22 fuchsia ff00ff gainsboro dcdcdc
+  ghostwhite f8f8ff gold ffd700 goldenrod daa520 gray 808080 green 008000
+  greenyellow adff2f grey 808080 honeydew f0fff0 hotpink ff69b4 indianred cd5c5c
+  indigo 4b0082 ivory fffff0 khaki f0e68c lavender e6e6fa lavenderblush fff0f5
+  lawngreen 7cfc00 lemonchiffon fffacd lightblue add8e6 lightcoral f08080
+  lightcyan e0ffff lightgoldenrodyellow fafad2 lightgray d3d3d3 lightgreen 90ee90
+  lightgrey d3d3d3 lightpink ffb6c1 lightsalmon ffa07a lightseagreen 20b2aa
+  lightskyblue 87cefa lightslategray 778899 lightslategrey 778899
+  lightsteelblue b0c4de lightyellow ffffe0 lime 00ff00 limegreen 32cd32 linen faf0e6
+  magenta ff00ff maroon 800000 mediumaquamarine 66cdaa mediumblue 0000cd
+  mediumorchid ba55d3 mediumpurple 9370db mediumseagreen 3cb371 mediumslateblue 7b68ee
+  mediumspringgreen 00fa9a mediumturquoise 48d1cc mediumvioletred c71585
+  midnightblue 191970 mintcream f5fffa mistyrose ffe4e1 moccasin ffe4b5
+  navajowhite ffdead navy 000080 oldlace fdf5e6 olive 808000 olivedrab 6b8e23
+  orange ffa500 orangered ff4500 orchid da70d6 palegoldenrod eee8aa palegreen 98fb98
+  paleturquoise afeeee palevioletred db7093 papayawhip ffefd5 peachpuff ffdab9
+  peru cd853f pink ffc0cb plum dda0dd powderblue b0e0e6 purple 800080
+  rebeccapurple 663399 red ff0000 rosybrown bc8f8f royalblue 4169e1 saddlebrown 8b4513
+  salmon fa8072 sandybrown f4a460 seagreen 2e8b57 seashell fff5ee sienna a0522d
+  silver c0c0c0 skyblue 87ceeb slateblue 6a5acd slategray 708090 slategrey 708090
+  snow fffafa springgreen 00ff7f steelblue 4682b4 tan d2b48c teal 008080
+  thistle d8bfd8 tomato ff6347 turquoise 40e0d0 violet ee82ee wheat f5deb3
+  white ffffff whitesmoke f5f5f5 yellow ffff00 yellowgreen 9acd32
+`.matchAll(/(\w+) (\w+)/g), ([, name, hex]) => [name, hex]))
+
+// [r, g, b, a] of hex, named, rgb(a) and hsl(a) colors, or of any CSS color where
+// a canvas can normalize it; null when it can't be told
+const parseColor = (color) => {
+  if (typeof color !== 'string') {
+    return null
+  }
+  if (!parsedColors.has(color)) {
+    parsedColors.set(color, readColor(color))
+  }
+  return parsedColors.get(color)
+}
+const readColor = (color) => {
+  const value = color.trim().toLowerCase()
+  if (value === 'transparent') {
+    return [0, 0, 0, 0]
+  }
+  const hex = (namedColors.has(value) ? `#${namedColors.get(value)}` : value)
+    .match(/^#([0-9a-f]{3,4}|[0-9a-f]{6}|[0-9a-f]{8})$/)
+  if (hex) {
+    const digits = (hex[1].length <= 4)
+      ? [...hex[1]].map(digit => digit + digit)
+      : hex[1].match(/../g)
+    const [r, g, b, a = 255] = digits.map(pair => parseInt(pair, 16))
+    return [r, g, b, a / 255]
+  }
+  const functional = value.match(/^(rgb|hsl)a?\(([^)]*)\)$/)
+  const parts = functional
+    ? functional[2].split(/[\s,/]+/).filter(Boolean)
+      .map(part => part.endsWith('%') ? parseFloat(part) : Number(part))
+    : []
+  // others, like hsl(120deg 100% 50%), are left to the canvas
+  if (functional && [3, 4].includes(parts.length) && parts.every(Number.isFinite)) {
+    const [x, y, z, a = 1] = parts
+    if (functional[1] === 'rgb') {
+      return [x, y, z, a]
+    }
+    // hsl to rgb, as in the CSS Color specification
+    const saturation = y / 100
+    const lightness = z / 100
+    const channel = (n) => {
+      const k = (n + (x / 30)) % 12
+      const chroma = saturation * Math.min(lightness, 1 - lightness)
+      return 255 * (lightness - (chroma * Math.max(-1, Math.min(k - 3, 9 - k, 1))))
+    }
+    return [channel(0), channel(8), channel(4), a].map((part, i) => (i < 3) ? Math.round(part) : part)
+  }
+  if (typeof document !== 'undefined') {
+    const context = document.createElement('canvas').getContext('2d')
+    if (context) {
+      context.fillStyle = '#000000'
+      context.fillStyle = color
+      return (context.fillStyle !== color) ? parseColor(context.fillStyle) : null
+    }
+  }
+  return null
+}
+
+// approximates the CSS "ease-out" timing function
+const easeOut = progress => 1 - ((1 - progress) * (1 - progress))
+
+// the value of a {from, to, start, duration} transition at the given time,
+// for renderers playing the transitions themselves
+const transitionValue = (transition, time) => {
+  const {from, to, start, duration} = transition
+  if (time < start) {
+    return from
+  }
+  if ((time >= start + duration) || (duration <= 0)) {
+    return to
+  }
+  const progress = easeOut((time - start) / duration)
+  if (Array.isArray(to)) {
+    return to.map((value, i) => from[i] + ((value - from[i]) * progress))
+  }
+  return from + ((to - from) * progress)
+}
+
+// the cells of renderers playing the style transitions themselves, each
+// one keeping its glyph and a transition of its color, opacity and
+// background color; the cells painted are drawn on every frame, through
+// draw(cells, time), until their transitions are over
+const createTransitions = (monitor, draw) => {
+  const states = new Map()
+  const animatedCells = new Set()
+  let frameRequest = null
+  let runningTimer = null
+  let runCount = 0
+
+  const constant = value => ({from: value, to: value, start: 0, duration: 0})
+  const toRGBA = (color, fallback) => parseColor(color) || fallback
+  const fontColor = () => toRGBA(monitor.options.fontColor, [255, 255, 255, 1])
+  const isFinished = (state, time) => ['color', 'opacity', 'backgroundColor']
+    .every(property => time >= state[property].start + state[property].duration)
+
+  const drawFrame = (time) => {
+    frameRequest = null
+    draw(animatedCells, time)
+    for (const cell of animatedCells) {
+      if (isFinished(states.get(cell), time)) {
+        animatedCells.delete(cell)
+      }
+    }
+    if (animatedCells.size > 0) {
+      frameRequest = monitor.clock.requestFrame(drawFrame)
+    }
+  }
+  const animate = (cell) => {
+    animatedCells.add(cell)
+    if (frameRequest === null) {
+      frameRequest = monitor.clock.requestFrame(drawFrame)
+    }
+  }
+
+  return {
+    // the state of the cell, to keep more of it along
+    get: (cell) => states.get(cell),
+
+    // the cell as shown at the time, colors being [r, g, b, a]
+    valuesAt(cell, time) {
+      const {char, glow, mirrored, color, opacity, backgroundColor} = states.get(cell)
+      return {
+        char,
+        glow,
+        mirrored,
+        color: transitionValue(color, time),
+        opacity: Math.max(0, Math.min(1, transitionValue(opacity, time))),
+        backgroundColor: transitionValue(backgroundColor, time)
+      }
+    },
+
+    add(cell) {
+      states.set(cell, {
+        char: '',
+        glow: null,
+        mirrored: false,
+        color: constant(fontColor()),
+        opacity: constant(1),
+        backgroundColor: constant([0, 0, 0, 0])
+      })
+    },
+
+    remove(cell) {
+      states.delete(cell)
+      animatedCells.delete(cell)
+    },
+
+    paint(cell, changes) {
+      const {
+        char,
+        color,
+        opacity,
+        backgroundColor,
+        glow,
+        mirrored,
+        transitionDelay = 0,
+        transitionDuration = 0
+      } = changes
+      const state = states.get(cell)
+      const time = monitor.now()
+      const transitionTo = (property, value) => {
+        state[property] = {
+          from: transitionValue(state[property], time),
+          to: value,
+          start: time + transitionDelay,
+          duration: transitionDuration
+        }
+      }
+      if (char !== undefined) {
+        state.char = char
+      }
+      if (glow !== undefined) {
+        state.glow = glow
+      }
+      if (mirrored !== undefined) {
+        state.mirrored = mirrored
+      }
+      if (color !== undefined) {
+        transitionTo('color', toRGBA(color, fontColor()))
+      }
+      if (opacity !== undefined) {
+        transitionTo('opacity', Number(opacity))
+      }
+      if (backgroundColor !== undefined) {
+        transitionTo('backgroundColor', toRGBA(backgroundColor, [0, 0, 0, 0]))
+      }
+      animate(cell)
+    },
+
+    // draws every cell again, as after clearing the screen
+    redraw() {
+      for (const cell of states.keys()) {
+        animate(cell)
+      }
+    },
+
+    destroy() {
+      if (frameRequest !== null) {
+        monitor.clock.cancelFrame(frameRequest)
+        frameRequest = null
+      }
+      animatedCells.clear()
+      states.clear()
+    }
+  }
+}
+
+// the [r, g, b] of a color laid over the background with the given opacity
+const blendColor = (rgb, opacity, background) => {
+  const alpha = Math.max(0, Math.min(1, opacity))
+  return [0, 1, 2].map(i => Math.round(background[i] + ((rgb[i] - background[i]) * alpha)))
+}
+
+// the xterm 256 colors: a 6x6x6 cube from 16 and a gray ramp from 232
+const to256Colors = ([r, g, b]) => {
+  if ((r === g) && (g === b)) {
+    if (r < 8) {
+      return 16
+    }
+    if (r > 248) {
+      return 231
+    }
+    return 232 + Math.round(((r - 8) / 247) * 24)
+  }
+  const level = value => Math.round((value / 255) * 5)
+  return 16 + (36 * level(r)) + (6 * level(g)) + level(b)
+}
+
+// the 16 colors of xterm: black, red, green, yellow, blue, magenta, cyan and
+// white, then their bright variants
+const ansi16Colors = [
+  [0, 0, 0], [205, 0, 0], [0, 205, 0], [205, 205, 0],
+  [0, 0, 238], [205, 0, 205], [0, 205, 205], [229, 229, 229],
+  [127, 127, 127], [255, 0, 0], [0, 255, 0], [255, 255, 0],
+  [92, 92, 255], [255, 0, 255], [0, 255, 255], [255, 255, 255]
+]
+
+// the nearest of the 16 colors, by distance in RGB
+const to16Colors = (rgb) => {
+  const distance = (color) => color.reduce((sum, value, i) => sum + ((value - rgb[i]) ** 2), 0)
+  return ansi16Colors.reduce((nearest, color, i) =>
+    (distance(color) < distance(ansi16Colors[nearest])) ? i : nearest, 0)
+}
+
+// the escape code setting the text (or background) color of a terminal, by
+// its color depth (as told by getColorDepth() of Node streams): 24-bit colors,
+// 256 colors from 8 bits, 16 colors from 4 bits, and none on monochrome ones
+const ansiColor = (rgb, isBackground = false, colorDepth = 24) => {
+  const layer = isBackground ? 48 : 38
+  if (colorDepth >= 24) {
+    return `\x1b[${layer};2;${rgb.slice(0, 3).join(';')}m`
+  }
+  if (colorDepth >= 8) {
+    return `\x1b[${layer};5;${to256Colors(rgb)}m`
+  }
+  if (colorDepth >= 4) {
+    const index = to16Colors(rgb)
+    const base = (index < 8) ? layer - 8 : layer + 52
+    return `\x1b[${base + (index % 8)}m`
+  }
+  return ''
+}
+
+// the escape codes writing a cell to a terminal with 24-bit colors, whose
+// background is the given [r, g, b, a]; the opacity blends the character
+// into that background, padded to the columns of the cell
+const toANSICell = (state, background, fontColor, columns = 1) => {
+  const {char, color, opacity, backgroundColor} = state
+  const blend = (color, opacity) => {
+    const rgb = parseColor(color) || parseColor(fontColor) || [255, 255, 255, 1]
+    return blendColor(rgb, opacity * rgb[3], background)
+  }
+  const cellBackground = parseColor(backgroundColor)
+  const hasBackground = Boolean(cellBackground && (cellBackground[3] > 0))
+  let code = hasBackground ? ansiColor(blend(backgroundColor, 1), true) : ''
+  code += (char && (opacity >= minVisibleOpacity))
+    ? ansiColor(blend(color, opacity)) + char + ' '.repeat(Math.max(0, columns - (isWideGlyph(char) ? 2 : 1)))
+    : ' '.repeat(columns)
+  if (hasBackground) {
+    code += ansiColor(background, true)
+  }
+  return code
+}
+
+// reads the terminal output of asciicast recordings, as far as cursor moves,
+// clearing and 24-bit colors go, calling back with each character written
+const createANSIReader = (onChar, onClear) => {
+  const state = {row: 0, column: 0, color: null, backgroundColor: null}
+  const tokens = /\x1b\[([\d;?]*)([A-Za-z])|\x1b[^[]|([\s\S])/gu
+  const handleCode = (parameters, command) => {
+    const values = parameters.replace('?', '').split(';').map(Number)
+    switch (command) {
+      case 'H':
+      case 'f':
+        state.row = Math.max(1, values[0] || 1) - 1
+        state.column = Math.max(1, values[1] || 1) - 1
+        break
+      case 'A':
+        state.row = Math.max(0, state.row - (values[0] || 1))
+        break
+      case 'B':
+        state.row += values[0] || 1
+        break
+      case 'C':
+        state.column += values[0] || 1
+        break
+      case 'D':
+        state.column = Math.max(0, state.column - (values[0] || 1))
+        break
+      case 'J':
+        if (values[0] === 2) {
+          onClear()
+        }
+        break
+      case 'm':
+        for (let i = 0; i < values.length; i++) {
+          const value = values[i]
+          if ((value === 0) || (parameters === '')) {
+            state.color = null
+            state.backgroundColor = null
+          } else if (((value === 38) || (value === 48)) && (values[i + 1] === 2)) {
+            const color = `rgb(${values.slice(i + 2, i + 5).join(', ')})`
+            state[(value === 38) ? 'color' : 'backgroundColor'] = color
+            i += 4
+          } else if (value === 39) {
+            state.color = null
+          } else if (value === 49) {
+            state.backgroundColor = null
+          }
+        }
+        break
+    }
+  }
+  return (data) => {
+    for (const [, parameters, command, char] of data.matchAll(tokens)) {
+      if (command) {
+        handleCode(parameters, command)
+      } else if (char === '\n') {
+        state.row++
+      } else if (char === '\r') {
+        state.column = 0
+      } else if (char && (char >= ' ')) {
+        onChar(state.row, state.column, char, state)
+        state.column += isWideGlyph(char) ? 2 : 1
+      }
+    }
+  }
+}
+
+// containers taken by a living instance, so two monitors never share one
+const usedContainers = new WeakSet()
+
+// resolves an element or an element id (or any container of the host),
+// reserving it for a single instance
+const claimContainer = (target, host) => {
+  const container = host.find(target)
+  if (!container) {
+    throw new Error(`Cannot find element (id: ${target})`)
+  }
+  if (usedContainers.has(container)) {
+    throw new Error('Element is already used by another MatrixMonitor')
+  }
+  usedContainers.add(container)
+  return container
+}
+
+// frames of the browser, as the default source of a clock; outside of one
+// (or in a worker without frames) a timeout stands in for them
+const animationFrames = {
+  now: () => performance.now(),
+  requestFrame: (callback) => (typeof requestAnimationFrame === 'function')
+    ? requestAnimationFrame(callback)
+    : setTimeout(() => callback(performance.now()), 1000 / 60),
+  cancelFrame: (request) => (typeof cancelAnimationFrame === 'function')
+    ? cancelAnimationFrame(request)
+    : clearTimeout(request)
+}
+
+// speed of the rain in the slow mode of reduced motion
+const reducedTimeScale = 0.2
+
+// longest time a single frame moves a clock forward, so a tab coming back
+// from the background goes on where it was instead of catching up
+const maxFrameDuration = 100
+
+// timers set by timers, one after another, running within a single frame;
+// the next ones wait for the following frame
+const maxTimerChain = 100
+
+// timers in the order they are due, those due at the same time in the order
+// they were set: a binary heap, its first timer the next one to run
+const createTimerQueue = () => {
+  const heap = []
+  const isBefore = (a, b) => (a.dueTime < b.dueTime)
+    || ((a.dueTime === b.dueTime) && (a.id < b.id))
+  const swap = (i, j) => {
+    [heap[i], heap[j]] = [heap[j], heap[i]]
+  }
+  return {
+    peek: () => heap[0],
+    push(timer) {
+      heap.push(timer)
+      for (let i = heap.length - 1; i > 0;) {
+        const parent = (i - 1) >> 1
+        if (!isBefore(heap[i], heap[parent])) {
+          break
+        }
+        swap(i, parent)
+        i = parent
+      }
+    },
+    pop() {
+      const first = heap[0]
+      const last = heap.pop()
+      if (heap.length > 0) {
+        heap[0] = last
+        for (let i = 0; ;) {
+          const left = (2 * i) + 1
+          const right = left + 1
+          let next = i
+          if ((left < heap.length) && isBefore(heap[left], heap[next])) {
+            next = left
+          }
+          if ((right < heap.length) && isBefore(heap[right], heap[next])) {
+            next = right
+          }
+          if (next === i) {
+            break
+          }
+          swap(i, next)
+          i = next
+        }
+      }
+      return first
+    },
+    clear() {
+      heap.length = 0
+    }
+  }
+}
+
+// the time of an instance, moved forward on every frame of its source by the
+// time elapsed times the timeScale: every timer of the scene goes slower,
+// faster or stands still at once. Frames are only requested while some timer
+// or frame callback is waiting.
+const createClock = (source = animationFrames) => {
+  // cleared timers leave the queue once due, skipped as they are no longer
+  // in the map
+  const timers = new Map()
+  const queue = createTimerQueue()
+  const frameCallbacks = new Map()
+  let nextId = 1
+  let time = 0
+  let lastFrameTime = null
+  let frameRequest = null
+  let runningTimer = null
+  let runCount = 0
+
+  const isRunning = () => !clock.isFrozen && (clock.timeScale > 0)
+  const requestTick = () => {
+    const isWaiting = (frameCallbacks.size > 0) || ((timers.size > 0) && isRunning())
+    if (!isWaiting) {
+      lastFrameTime = null
+    } else if (frameRequest === null) {
+      frameRequest = source.requestFrame(tick)
+    }
+  }
+  // timers due by now run in the order they are due, along with the ones
+  // they set that are also due
+  const runTimers = () => {
+    const waitingTimers = []
+    runCount++
+    while ((queue.peek() !== undefined) && (queue.peek().dueTime <= time)) {
+      const timer = queue.pop()
+      if (timers.get(timer.id) !== timer) {
+        continue
+      }
+      // chains only go on within the run their timers were set in
+      if (timer.run !== runCount) {
+        timer.chain = 0
+      }
+      if (timer.chain >= maxTimerChain) {
+        waitingTimers.push(timer)
+        continue
+      }
+      if (timer.interval === null) {
+        timers.delete(timer.id)
+      } else {
+        timer.dueTime += timer.interval
+        if (timer.dueTime <= time) {
+          timer.dueTime = time + timer.interval
+        }
+        queue.push(timer)
+      }
+      runningTimer = timer
+      try {
+        timer.callback(...timer.args)
+      } catch (error) {
+        console.error(error)
+      } finally {
+        runningTimer = null
+      }
+    }
+    for (const timer of waitingTimers) {
+      queue.push(timer)
+    }
+  }
+  const tick = (frameTime = source.now()) => {
+    frameRequest = null
+    const elapsed = (lastFrameTime === null)
+      ? 0
+      : Math.max(0, Math.min(frameTime - lastFrameTime, maxFrameDuration))
+    lastFrameTime = frameTime
+    if (isRunning()) {
+      time += elapsed * clock.timeScale
+      runTimers()
+    }
+    const callbacks = [...frameCallbacks.values()]
+    frameCallbacks.clear()
+    for (const callback of callbacks) {
+      try {
+        callback(time)
+      } catch (error) {
+        console.error(error)
+      }
+    }
+    requestTick()
+  }
+  const addTimer = (callback, delay, interval, args) => {
+    const id = nextId++
+    const timer = {
+      id,
+      callback,
+      args,
+      dueTime: time + Math.max(0, Number(delay) || 0),
+      interval,
+      // how many timers set one another to get to this one, within a run
+      chain: (runningTimer === null) ? 0 : runningTimer.chain + 1,
+      run: runCount
+    }
+    timers.set(id, timer)
+    queue.push(timer)
+    requestTick()
+    return id
+  }
+
+  const clock = {
+    source,
+    timeScale: 1,
+    isFrozen: false,
+    now: () => time,
+    setTimeout: (callback, delay, ...args) => addTimer(callback, delay, null, args),
+    setInterval: (callback, delay, ...args) =>
+      addTimer(callback, delay, Math.max(1, Number(delay) || 0), args),
+    clearTimer: (id) => timers.delete(id),
+    // runs the callback on the next frame, with the time of the clock
+    requestFrame(callback) {
+      const id = nextId++
+      frameCallbacks.set(id, callback)
+      requestTick()
+      return id
+    },
+    cancelFrame: (id) => frameCallbacks.delete(id),
+    // frames from another source, taking over from the next one
+    setSource(newSource) {
+      if (frameRequest !== null) {
+        source.cancelFrame(frameRequest)
+        frameRequest = null
+      }
+      source = newSource
+      clock.source = newSource
+      lastFrameTime = null
+      requestTick()
+    },
+    setTimeScale(timeScale) {
+      clock.timeScale = Math.max(0, Number(timeScale) || 0)
+      requestTick()
+    },
+    // stops the time right where it is, down to the transitions on a canvas
+    freeze(isFrozen = true) {
+      clock.isFrozen = isFrozen
+      requestTick()
+    },
+    destroy() {
+      timers.clear()
+      queue.clear()
+      frameCallbacks.clear()
+      if (frameRequest !== null) {
+        source.cancelFrame(frameRequest)
+        frameRequest = null
+      }
+    }
+  }
+  return clock
+}
+
+// keeps the ids of every pending timer of the clock, so an instance (or
+// a glitch) can release all of them
+const createTimers = (clock) => {
+  const timeouts = new Set()
+  const intervals = new Set()
+  return {
+    setTimeout(callback, delay, ...args) {
+      const timer = clock.setTimeout((...args) => {
+        timeouts.delete(timer)
+        callback(...args)
+      }, delay, ...args)
+      timeouts.add(timer)
+      return timer
+    },
+    clearTimeout(timer) {
+      timeouts.delete(timer)
+      clock.clearTimer(timer)
+    },
+    setInterval(callback, delay, ...args) {
+      const timer = clock.setInterval(callback, delay, ...args)
+      intervals.add(timer)
+      return timer
+    },
+    clearInterval(timer) {
+      intervals.delete(timer)
+      clock.clearTimer(timer)
+    },
+    clearTimers() {
+      timeouts.forEach(timer => clock.clearTimer(timer))
+      intervals.forEach(timer => clock.clearTimer(timer))
+      timeouts.clear()
+      intervals.clear()
+    }
+  }
+}
+
+const isPlainObject = (value) => Boolean(value)
+  && (Object.getPrototypeOf(value) === Object.prototype)
+
+// nested option objects are copied too, so instances never share them
+const copyOptions = (options) => Object.fromEntries(
+  Object.entries(options).map(([name, value]) => [
+    name,
+    isPlainObject(value) ? {...value} : value
+  ]))
+
+// presets are found by their name in any case, with dashes or underscores
+const findPreset = (presets, name, kind, isPreset = isPlainObject) => {
+  const preset = presets[String(name).replace(/-/g, '_').toUpperCase()]
+  if (!isPreset(preset)) {
+    throw new Error(`Unknown ${kind}: ${name}`)
+  }
+  return preset
+}
+
+// nested options are merged into the current ones, so {onFade: {opacity: 0.3}}
+// keeps the onFade color and transition
+const mergeOptions = (options, values) => {
+  for (const [name, value] of Object.entries(values)) {
+    options[name] = (isPlainObject(MatrixMonitor.DEFAULT_OPTIONS[name]) && isPlainObject(value))
+      ? {...options[name], ...value}
+      : value
+  }
+}
+
+// a theme overrides the colors it sets, keeping the rest of nested options
+const applyTheme = (options, theme) => {
+  if ((theme === null) || (theme === undefined)) {
+    return
+  }
+  const values = (typeof theme === 'string')
+    ? findPreset(MatrixMonitor.Theme, theme, 'theme')
+    : theme
+  mergeOptions(options, values)
+}
+
+const paletteModes = ['column', 'row', 'droplet', 'age']
+
+// what each option takes: its types (as told by typeof, plus 'null' and
+// 'array'), a range for numbers, the values allowed for strings or whether
+// they are colors, the items of arrays, and the properties or the methods
+// of objects
+const nonNegative = {type: 'number', min: 0}
+const positive = {type: 'number', min: 1}
+const share = {type: 'number', min: 0, max: 1}
+// CSS sizes, numbers being pixels
+const size = {type: ['number', 'string'], min: 0}
+// pixels of the grid, as numbers or strings like '15px' read by parseInt()
+const pixels = (min) => ({type: ['number', 'string'], min, isPixels: true})
+const color = {type: 'string', isColor: true}
+const optionalColor = {type: ['string', 'null'], isColor: true}
+// hue, saturation or lightness of a palette, as a number or a [from, to] range
+const paletteValue = (min, max) => ({
+  type: ['number', 'array'],
+  min,
+  max,
+  items: {type: 'number', min, max},
+  length: 2
+})
+const optionSchema = {
+  alphabet: {type: 'string', minLength: 1},
+  charset: {type: ['string', 'array', 'object', 'null']},
+  mirrored: share,
+  layers: {type: ['string', 'array', 'null']},
+  initialDelay: nonNegative,
+  mainLoopInterval: positive,
+  mainLoopDuration: {type: ['number', 'null'], min: 0},
+  minCharStartDelay: nonNegative,
+  maxCharStartDelay: nonNegative,
+  minCharProgression: positive,
+  maxCharProgression: positive,
+  mode: {type: 'string', values: ['classic', 'trail']},
+  minTrailLength: positive,
+  maxTrailLength: positive,
+  maxDropletsPerColumn: positive,
+  density: share,
+  mutationRate: nonNegative,
+  glitchFrequency: nonNegative,
+  glitches: {type: ['array', 'null']},
+  minGlitchDuration: nonNegative,
+  maxGlitchDuration: nonNegative,
+  burstOnClick: {type: 'boolean'},
+  wakeOnMove: {type: 'boolean'},
+  partOnDrag: {type: 'boolean'},
+  wakeRadius: nonNegative,
+  wakeDuration: nonNegative,
+  partRadius: nonNegative,
+  feedQueueLimit: positive,
+  feedOverflow: {type: 'string', values: ['drop-oldest', 'drop-newest', 'error']},
+  timeScale: nonNegative,
+  clock: {type: ['object', 'null'], methods: ['now', 'requestFrame', 'cancelFrame']},
+  reducedMotion: {type: 'string', values: ['auto', 'slow', 'static', 'none']},
+  autoPause: {type: 'boolean'},
+  ariaLabel: {type: ['string', 'null']},
+  renderer: {type: ['string', 'function', 'null']},
+  theme: {type: ['string', 'object', 'null']},
+  palette: {type: ['string', 'object', 'function', 'null'], properties: {
+    by: {type: 'string', values: paletteModes},
+    colors: {type: ['array', 'null'], items: color},
+    hue: paletteValue(-Infinity, Infinity),
+    saturation: paletteValue(0, 100),
+    lightness: paletteValue(0, 100),
+    period: positive
+  }},
+  seed: {type: ['number', 'string', 'null']},
+  random: {type: ['function', 'null']},
+  paddingTop: pixels(0),
+  paddingLeft: pixels(0),
+  width: size,
+  height: size,
+  cellWidth: pixels(1),
+  cellHeight: pixels(1),
+  horizontalSpacing: pixels(0),
+  verticalSpacing: pixels(0),
+  backgroundColor: color,
+  fontColor: color,
+  fontSize: size,
+  fontFamily: {type: 'string'},
+  fontWeight: {type: ['string', 'number']},
+  onHead: {type: 'object', properties: {
+    fontColor: optionalColor,
+    glow: optionalColor
+  }},
+  onAppear: {type: 'object', properties: {
+    fontColor: optionalColor,
+    opacity: share,
+    transitionDuration: nonNegative
+  }},
+  onFade: {type: 'object', properties: {
+    fontColor: optionalColor,
+    opacity: share,
+    transitionDuration: nonNegative
+  }},
+  onDelete: {type: 'object', properties: {
+    backgroundColor: optionalColor,
+    transitionDuration: nonNegative
+  }},
+  onMutate: {type: 'object', properties: {
+    fontColor: optionalColor,
+    transitionDuration: nonNegative
+  }}
+}
+
+// options changing the size or the look of the cells, which lay the grid out again
+const layoutOptions = ['renderer', 'paddingTop', 'paddingLeft', 'width', 'height',
+  'cellWidth', 'cellHeight', 'horizontalSpacing', 'verticalSpacing', 'fontSize',
+  'fontFamily', 'fontWeight']
+
+// throws on values of the wrong type or out of range, before any of them is
+// applied, and warns about the unknown ones, likely typos
+const validateOptions = (options, schema = optionSchema, path = '') => {
+  for (const [name, value] of Object.entries(options)) {
+    const option = path + name
+    const rule = schema[name]
+    if (!rule) {
+      console.warn(`MatrixMonitor: unknown option ${option}`)
+      continue
+    }
+    validateValue(value, rule, option)
+  }
+}
+const validateValue = (value, rule, option) => {
+  if (value === undefined) {
+    return
+  }
+  const types = [].concat(rule.type)
+  const type = (value === null) ? 'null' : (Array.isArray(value) ? 'array' : typeof value)
+  if (!types.includes(type)) {
+    throw new Error(`Invalid option ${option}: expected ${types.join(' or ')}, got ${type}`)
+  }
+  if ((type === 'number') || rule.isPixels) {
+    const {min = -Infinity, max = Infinity} = rule
+    const number = (type === 'number') ? value : parseInt(value)
+    if (Number.isNaN(number) || (number < min) || (number > max)) {
+      const range = (max !== Infinity) ? ` from ${min} to ${max}`
+        : (min !== -Infinity) ? ` at least ${min}` : ''
+      throw new Error(`Invalid option ${option}: expected a number${range}, got ${value}`)
+    }
+  }
+  if ((type === 'string') && rule.values && !rule.values.includes(value)) {
+    throw new Error(`Invalid option ${option}: expected one of ${rule.values.join(', ')}, got ${value}`)
+  }
+  if ((type === 'string') && (value.length < (rule.minLength || 0))) {
+    throw new Error(`Invalid option ${option}: expected a non-empty string`)
+  }
+  if ((type === 'string') && rule.isColor && (parseColor(value) === null)) {
+    throw new Error(`Invalid option ${option}: expected a color, got ${value}`)
+  }
+  if ((type === 'array') && rule.items) {
+    if ((rule.length !== undefined) && (value.length !== rule.length)) {
+      throw new Error(`Invalid option ${option}: expected ${rule.length} items, got ${value.length}`)
+    }
+    value.forEach((item, index) => validateValue(item, rule.items, `${option}[${index}]`))
+  }
+  if ((type === 'object') && rule.properties) {
+    validateOptions(value, rule.properties, option + '.')
+  }
+  const missingMethod = ((type === 'object') && rule.methods)
+    ? rule.methods.find(method => typeof value[method] !== 'function')
+    : undefined
+  if (missingMethod) {
+    throw new Error(`Invalid option ${option}: expected a ${missingMethod}() method`)
+  }
+}
+
+// the options named minSomething and maxSomething, as [min, max] pairs
+const rangeOptions = Object.keys(optionSchema)
+  .filter(name => name.startsWith('min') && (`max${name.slice(3)}` in optionSchema))
+  .map(name => [name, `max${name.slice(3)}`])
+
+// throws on ranges ending before they start, once the options are merged
+const checkRanges = (options) => {
+  for (const [min, max] of rangeOptions) {
+    if (options[min] > options[max]) {
+      throw new Error(`Invalid options ${min} and ${max}: ${options[min]} is above ${options[max]}`)
+    }
+  }
+}
+
+// the factory of the renderer option, each host having a renderer of its
+// own by default
+const findRenderer = (renderer, host) => {
+  renderer = renderer || host.renderer
+  const createRenderer = (typeof renderer === 'function')
+    ? renderer
+    : MatrixMonitor.Renderer[String(renderer).toUpperCase()]
+  if (typeof createRenderer !== 'function') {
+    throw new Error(`Unknown renderer: ${renderer}`)
+  }
+  return createRenderer
+}
+
+// throws on merged options the host can't follow: a renderer it doesn't
+// know, or depth layers without a place to put them
+const checkHost = (options, host) => {
+  findRenderer(options.renderer, host)
+  const layers = findLayers(options.layers)
+  if ((layers.length > 0) && (typeof host.createLayer !== 'function')) {
+    throw new Error('Invalid option layers: depth layers are not supported by this host')
+  }
+  for (const layer of layers) {
+    findRenderer(('renderer' in layer) ? layer.renderer : options.renderer, host)
+  }
+}
+
+// each depth layer takes any option of its own, plus how faded and blurred
+// its whole plane is
+const layerSchema = {
+  ...optionSchema,
+  name: {type: 'string', minLength: 1},
+  opacity: share,
+  blur: nonNegative
+}
+delete layerSchema.layers
+
+// options of the monitor the layers don't follow: they stay transparent in
+// its container, and only the nearest plane is described or played with
+const ownOptions = ['layers', 'theme', 'seed', 'width', 'height', 'backgroundColor',
+  'ariaLabel', 'burstOnClick', 'wakeOnMove', 'partOnDrag', 'glitchFrequency']
+
+// the layers option as a list of planes, by the name of a MatrixMonitor.Layers
+// preset or as given
+const findLayers = (layers) => {
+  if ((layers === null) || (layers === undefined)) {
+    return []
+  }
+  if (typeof layers === 'string') {
+    layers = findPreset(MatrixMonitor.Layers, layers, 'layers', Array.isArray)
+  }
+  layers.forEach((layer, index) => {
+    if (!isPlainObject(layer)) {
+      throw new Error(`Invalid option layers[${index}]: expected object`)
+    }
+    validateOptions(layer, layerSchema, `layers[${index}].`)
+  })
+  return layers
+}
+
+// the options of a layer: the monitor's ones, as far as it doesn't set them
+const layerOptions = (options, overrides, index) => ({
+  ...Object.fromEntries(Object.entries(options)
+    .filter(([name]) => !ownOptions.includes(name))),
+  seed: ((options.seed === null) || (options.seed === undefined))
+    ? null
+    : `${options.seed}/${index}`,
+  backgroundColor: 'transparent',
+  ...overrides
+})
+
+// the glitches option names functions of MatrixMonitor.Glitch, as glitch()
+// takes them, registered ones included
+const checkGlitches = (glitches) => {
+  for (const name of glitches || []) {
+    if (typeof MatrixMonitor.Glitch[name] !== 'function') {
+      throw new Error(`Invalid option glitches: unknown glitch ${name}`)
+    }
+  }
+}
+
+// turns the palette option into a (cell, age, droplet) => color function, where
+// hue, saturation and lightness are numbers or [from, to] ranges to walk along
+const compilePalette = (palette, monitor) => {
+  if ((palette === null) || (palette === undefined)) {
+    return null
+  }
+  if (typeof palette === 'function') {
+    return palette
+  }
+  if (typeof palette === 'string') {
+    palette = findPreset(MatrixMonitor.Palette, palette, 'palette')
+  }
+  const {
+    by = 'column',
+    colors = null,
+    hue = 120,
+    saturation = 100,
+    lightness = 35,
+    period = 3000
+  } = palette
+  if (!paletteModes.includes(by)) {
+    throw new Error(`Unknown palette mode: ${by}`)
+  }
+  if (colors && !colors.length) {
+    throw new Error('Palette colors must not be empty')
+  }
+
+  const along = (value, position) => Array.isArray(value)
+    ? value[0] + ((value[1] - value[0]) * position)
+    : value
+  const colorAt = colors
+    ? position => colors[Math.min(colors.length - 1, Math.floor(position * colors.length))]
+    : position => `hsl(${along(hue, position)}, ${along(saturation, position)}%, `
+      + `${along(lightness, position)}%)`
+  const dropletPositions = new WeakMap()
+
+  return (cell, age, droplet) => {
+    let position = 0
+    if (by === 'column') {
+      position = cell.columnIndex / Math.max(1, monitor.columns.length - 1)
+    } else if (by === 'row') {
+      position = cell.rowIndex / Math.max(1, monitor.rowCount - 1)
+    } else if (by === 'age') {
+      position = Math.min(1, age / period)
+    } else if (droplet) {
+      if (!dropletPositions.has(droplet)) {
+        dropletPositions.set(droplet, monitor.random.next())
+      }
+      position = dropletPositions.get(droplet)
+    }
+    return colorAt(position)
+  }
+}
+
+// glyphs as read on screen, so emoji, flags and letters with accents made of
+// several code points are never cut apart
+const graphemeSegmenter = ((typeof Intl === 'object') && (typeof Intl.Segmenter === 'function'))
+  ? new Intl.Segmenter(undefined, {granularity: 'grapheme'})
+  : null
+
+// without Intl.Segmenter, flags keep their pair of letters, and marks, skin
+// tones and zero width joiners stay with the character before them
+const graphemePattern =
+  /[\u{1F1E6}-\u{1F1FF}]{2}|\P{M}[\p{M}\u{1F3FB}-\u{1F3FF}]*(?:\u200D\P{M}[\p{M}\u{1F3FB}-\u{1F3FF}]*)*|\p{M}+/gu
+
+const splitGraphemes = (text) => graphemeSegmenter
+  ? Array.from(graphemeSegmenter.segment(String(text)), ({segment}) => segment)
+  : (String(text).match(graphemePattern) || [])
+
+// glyphs taking two columns of a terminal, as East Asian wide and fullwidth
+// characters and most emoji do
+const wideGlyphPattern =
+  /^[\u1100-\u115f\u2e80-\u303e\u3041-\ua4cf\uac00-\ud7a3\uf900-\ufaff\ufe30-\ufe4f\uff00-\uff60\uffe0-\uffe6\u{1f300}-\u{1f64f}\u{1f900}-\u{1faff}\u{20000}-\u{3fffd}]/u
+
+const isWideGlyph = (glyph) => wideGlyphPattern.test(glyph)
+
+const codeRange = (from, to) => String.fromCodePoint(
+  ...Array.from({length: to - from + 1}, (value, i) => from + i))
+
+const isCharset = (value) => typeof value === 'string'
+
+// turns the charset option (or the alphabet, without one) into the glyphs to
+// pick from and their running weights. Sets are names of MatrixMonitor.Charset
+// presets or {name, glyphs, weight} objects, where glyphs are a string, a list
+// or a {glyph: weight} object; each set gets a share of the picks by its
+// weight, split among its glyphs by theirs; isWide tells whether any glyph
+// takes two columns of a terminal
+const compileCharset = (charset, alphabet) => {
+  // the alphabet is picked from by index, repeated glyphs being more likely
+  if ((charset === null) || (charset === undefined)) {
+    const glyphs = splitGraphemes(alphabet)
+    if (glyphs.length === 0) {
+      throw new Error('Charset must have at least one glyph')
+    }
+    return {
+      glyphs,
+      cumulativeWeights: glyphs.map((glyph, i) => i + 1),
+      isUniform: true,
+      isWide: glyphs.some(isWideGlyph)
+    }
+  }
+  const weights = new Map()
+  for (let set of [].concat(charset)) {
+    if (typeof set === 'string') {
+      set = {name: set}
+    }
+    if (!isPlainObject(set)) {
+      throw new Error(`Invalid charset: ${set}`)
+    }
+    const {name = null, weight = 1} = set
+    let glyphs = (name !== null)
+      ? findPreset(MatrixMonitor.Charset, name, 'charset', isCharset)
+      : set.glyphs
+    if ((typeof weight !== 'number') || !(weight >= 0)) {
+      throw new Error(`Invalid charset weight: ${weight}`)
+    }
+    if (typeof glyphs === 'string') {
+      glyphs = splitGraphemes(glyphs)
+    }
+    const entries = Array.isArray(glyphs)
+      ? glyphs.map(glyph => [String(glyph), 1])
+      : isPlainObject(glyphs) ? Object.entries(glyphs) : null
+    if (!entries) {
+      throw new Error('Charset sets must have a name or glyphs')
+    }
+    const total = entries.reduce((sum, [glyph, glyphWeight]) => {
+      if ((typeof glyphWeight !== 'number') || !(glyphWeight >= 0)) {
+        throw new Error(`Invalid weight of glyph ${glyph}: ${glyphWeight}`)
+      }
+      return sum + glyphWeight
+    }, 0)
+    for (const [glyph, glyphWeight] of entries) {
+      if ((glyph !== '') && (glyphWeight > 0)) {
+        weights.set(glyph, (weights.get(glyph) || 0) + (weight * glyphWeight / total))
+      }
+    }
+  }
+  const glyphs = [...weights.keys()].filter(glyph => weights.get(glyph) > 0)
+  if (glyphs.length === 0) {
+    throw new Error('Charset must have at least one glyph')
+  }
+  let sum = 0
+  const cumulativeWeights = glyphs.map(glyph => (sum += weights.get(glyph)))
+  // a single weight for all of them picks by index too
+  const firstWeight = weights.get(glyphs[0])
+  const isUniform = glyphs.every(glyph =>
+    Math.abs(weights.get(glyph) - firstWeight) < firstWeight * 1e-9)
+  return {glyphs, cumulativeWeights, isUniform, isWide: glyphs.some(isWideGlyph)}
+}
+
+// the options of a new instance: the defaults, the colors of the theme and
+// the given ones, throwing on the wrong ones before any of them is used
+const createOptions = (options) => {
+  validateOptions(options)
+  const merged = copyOptions(MatrixMonitor.DEFAULT_OPTIONS)
+  applyTheme(merged, options.theme)
+  mergeOptions(merged, copyOptions(options))
+  checkRanges(merged)
+  compileCharset(merged.charset, merged.alphabet)
+  compilePalette(merged.palette, null)
+  findLayers(merged.layers)
+  checkGlitches(merged.glitches)
+  return merged
+}
+
+const isRasterImage = (source) => [
+  'HTMLImageElement',
+  'HTMLCanvasElement',
+  'HTMLVideoElement',
+  'ImageBitmap',
+  'ImageData',
+  'OffscreenCanvas'
+].some(type => (typeof globalThis[type] === 'function') && (source instanceof globalThis[type]))
+
+// FIGlet fonts already parsed (or being downloaded), by source or URL
+const parsedFonts = new Map()
+
+// mulberry32, seeded by the FNV-1a hash of the seed's string form
+const seededGenerator = (seed) => {
+  let state = 2166136261
+  for (const char of String(seed)) {
+    state = Math.imul(state ^ char.codePointAt(0), 16777619)
+  }
+  return () => {
+    state = (state + 0x6D2B79F5) | 0
+    let t = Math.imul(state ^ (state >>> 15), 1 | state)
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296
+  }
+}
+
+// every random decision of an instance goes through the generator built here,
+// so a seed (or an injected generator) makes the whole rain reproducible
+const createRandom = ({seed = null, random = null}) => {
+  const generator = (typeof random === 'function')
+    ? random
+    : ((seed === null) || (seed === undefined)) ? Math.random : seededGenerator(seed)
+  const randomInt = (from, to) => Math.floor((generator() * (to - from)) + from)
+  randomInt.next = generator
+  return randomInt
+}
+
+const timelineActions = ['start', 'pause', 'resume', 'stop', 'draw', 'glitch',
+  'wait', 'call']
+
+// options kept as written in URLs and attributes, even when they look like
+// numbers, and the ones that can't be written there at all
+const textOptions = ['alphabet', 'ariaLabel']
+const unwritableOptions = ['clock', 'random']
+
+// milliseconds of durations like 500ms, 30s or 2m, plain numbers being
+// milliseconds as everywhere else
+const parseDuration = (value) => {
+  const match = /^(\d+(?:\.\d+)?)(ms|s|m)?$/.exec(String(value).trim())
+  if (!match) {
+    throw new Error(`Invalid duration: ${value}`)
+  }
+  const units = {ms: 1, s: 1000, m: 60000}
+  return Number(match[1]) * units[match[2] || 'ms']
+}
+
+// images of timeline steps may be given by the name of a MatrixMonitor.Image
+const findImage = (image) => {
+  const preset = (typeof image === 'string')
+    && MatrixMonitor.Image[image.replace(/-/g, '_').toUpperCase()]
+  return (typeof preset === 'string') ? preset : image
+}
+
+// turns the actions of a URL into timeline steps: a JSON script, or a list
+// like "draw:skull:10s,wait:5s,glitch:blink-screen,text:WAKE UP,stop:clear"
+const parseActions = (value) => {
+  if (/^\s*\[/.test(value)) {
+    return JSON.parse(value).map(step => ('draw' in step)
+      ? {...step, draw: findImage(step.draw)}
+      : step)
+  }
+  return value.split(',').filter(action => action.trim() !== '').map(action => {
+    const [name, argument = null, duration = null] = action.trim().split(':')
+    const timing = (duration === null) ? {} : {duration: parseDuration(duration)}
+    switch (name) {
+      case 'start':
+      case 'pause':
+      case 'resume':
+        return {[name]: {}}
+      case 'stop':
+        return {stop: {clearScreen: argument === 'clear'}}
+      case 'wait':
+        return {wait: parseDuration(argument)}
+      case 'draw':
+        return {draw: findImage(argument), delay: 0, ...timing}
+      case 'text':
+        return {call: monitor => monitor.drawText(argument, {delay: 0, ...timing})}
+      case 'glitch':
+        return {glitch: String(argument).replace(/-/g, '_').toUpperCase(), ...timing}
+      default:
+        throw new Error(`Unknown action: ${name}`)
+    }
+  })
+}
+
+// the options differing from the defaults, nested ones property by property;
+// the colors of a theme come with its name
+const changedOptions = (options) => {
+  const defaults = copyOptions(MatrixMonitor.DEFAULT_OPTIONS)
+  applyTheme(defaults, options.theme)
+  const changed = {}
+  for (const [name, value] of Object.entries(options)) {
+    const fallback = defaults[name]
+    if (unwritableOptions.includes(name) || (typeof value === 'function')) {
+      continue
+    }
+    if (isPlainObject(fallback) && isPlainObject(value)) {
+      const nested = Object.fromEntries(Object.entries(value)
+        .filter(([property, nestedValue]) => nestedValue !== fallback[property]))
+      if (Object.keys(nested).length > 0) {
+        changed[name] = nested
+      }
+    } else if (JSON.stringify(value) !== JSON.stringify(fallback)) {
+      changed[name] = value
+    }
+  }
+  return changed
+}
+
+// flattens a timeline script into a list of instructions, where loops and
+// gotos become jumps between positions of the list
+const compileTimeline = (script, program = [], labels = new Map()) => {
+  if (!Array.isArray(script)) {
+    throw new Error('Timeline script must be an array of steps')
+  }
+  for (const step of script) {
+    if (!step || (typeof step !== 'object')) {
+      throw new Error(`Invalid timeline step: ${step}`)
+    }
+    if (step.name !== undefined) {
+      if (labels.has(step.name)) {
+        throw new Error(`Duplicated timeline step name: ${step.name}`)
+      }
+      labels.set(step.name, program.length)
+    }
+    if ('loop' in step) {
+      const loopStart = program.length
+      const times = (step.loop === true) ? Infinity : step.loop
+      program.push({type: 'loopStart', times})
+      compileTimeline(step.steps, program, labels)
+      program.push({type: 'loopEnd', loopStart})
+    } else if ('goto' in step) {
+      const {goto: label, times = Infinity} = step
+      program.push({type: 'goto', label, times})
+    } else if (timelineActions.some(action => action in step)) {
+      program.push({type: 'step', step})
+    } else {
+      throw new Error(`Unknown timeline step: ${JSON.stringify(step)}`)
+    }
+  }
+  return {program, labels}
+}
+
+export default class MatrixMonitor {
+
+  static DEFAULT_OPTIONS = {
+    alphabet: 'ﾊﾐﾋｰｳｼﾅﾓﾆｻﾜﾂｵﾘｱﾎﾃﾏｹﾒｴｶｷﾑﾕﾗｾﾈｽﾀﾇﾍｦｲｸｺｿﾁﾄﾉﾌﾔﾖﾙﾚﾛﾝﾘｸコソヤ日012345789Z:・."=*+-<>¦╌',
+    charset: null, // a MatrixMonitor.Charset name or a mix of weighted sets, replacing the alphabet
+    mirrored:              0, // share of the cells showing their rain mirrored, as in the films
+    layers:             null, // planes of rain behind this one, farthest first; see MatrixMonitor.Layers
+    initialDelay:       1000,
+    mainLoopInterval:  10000,
+    mainLoopDuration:   null, // null for infinity
+    minCharStartDelay:   500,
+    maxCharStartDelay: 10000,
+    minCharProgression:  200,
+    maxCharProgression:  800,
+    mode: 'classic', // 'classic' fills whole columns, 'trail' drops short fading trails as in the films
+    minTrailLength:        6,
+    maxTrailLength:       20,
+    maxDropletsPerColumn:  2,
+    density:             0.6, // share of the columns raining at once, in trail mode
+    mutationRate:          0, // share of the characters on screen changing every second
+    glitchFrequency:       0, // random glitches per minute
+    glitches:           null, // names of the glitches picked at random, null for all of them
+    minGlitchDuration:  1000,
+    maxGlitchDuration:  3000,
+    burstOnClick:      false, // clicks and taps send droplets down from the hit cell
+    wakeOnMove:        false, // the pointer brightens the cells it passes by
+    partOnDrag:        false, // dragging opens a hole in the rain around the pointer
+    wakeRadius:           60, // in pixels
+    wakeDuration:        600,
+    partRadius:           80, // in pixels
+    timeScale:             1, // speed of the whole scene: 0.5 for slow motion, 2 for fast-forward
+    clock: null, // source of the frames driving the timing, see MatrixMonitor.Clock
+    reducedMotion:    'auto', // 'slow' or 'static' rain, 'none', or 'auto' for slow when the user prefers reduced motion
+    autoPause:          true, // holds the rain while the page is hidden or the monitor is out of view
+    ariaLabel:          null, // describes the monitor to screen readers, which skip it otherwise
+    feedQueueLimit:      100,
+    feedOverflow: 'drop-oldest', // 'drop-oldest', 'drop-newest' or 'error' when the feed queue is full
+    renderer: null, // 'dom', 'canvas', 'terminal' or a custom renderer factory; null for the one of the host
+    theme: null, // name of a MatrixMonitor.Theme preset, or an object with the same options
+    palette: null, // trail colors by column, row, droplet or age; see MatrixMonitor.Palette
+    seed: null, // null for a different rain on every run
+    random: null, // custom generator returning numbers in [0, 1), overrides the seed
+    paddingTop: 10,
+    paddingLeft: 10,
+    width: '100%',
+    height: '100%',
+    cellWidth: 15,
+    cellHeight: 20,
+    horizontalSpacing: 8,
+    verticalSpacing: 5,
+    backgroundColor: '#000000',
+    fontColor: '#01A400',
+    fontSize: 20,
+    fontFamily: 'Courier New',
+    fontWeight: 'bold',
+    onHead: {
+      fontColor: '#E6FFE6',
+      glow: '#91F490'
+    },
+    onAppear: {
+      fontColor: '#91F490',
+      opacity: 1,
+      transitionDuration: 100
+    },
+    onFade: {
+      fontColor: '#01A400',
+      opacity: 0.5,
+      transitionDuration: 1200
+    },
+    onDelete: {
+      backgroundColor: '#001500',
+      transitionDuration: 50
+    },
+    onMutate: {
+      fontColor: null, // null flashes with the onAppear color
+      transitionDuration: 500
+    }
+  }
+
+  constructor(container, options = {}) {
+    this[_container] = container
+    this[_options]   = createOptions(options)
+    this[_deferred]  = []
+
+    const clock = createClock(this[_options].clock || animationFrames)
+    this[_monitor] = {
+      instance: this,
+      isInitialized: false,
+      isDestroyed: false,
+      container: null,
+      host: null, // the environment of the container, see MatrixMonitor.Host
+      columns: [],
+      cells: [],
+      topCells: [],
+      options: this[_options],
+      random: createRandom(this[_options]),
+      layout: null,
+      renderer: null,
+      stopWaiting: null, // stops waiting for the host to be ready
+      pointerListeners: null,
+      prefersReducedMotion: false,
+      motion: 'full', // 'full', 'slow' or 'static', as reducedMotion and the user preference say
+      isVisible: true, // whether the page is shown and the monitor is in view
+      visibilityRelease: null, // lets the rain go once the monitor is visible again
+      listeners: new Map(),
+      timelines: new Set(),
+      regions: [], // drawn images on screen, from the bottom to the top one
+      trails: new Set(), // droplets falling in trail mode, including the ones yet to start
+      glitches: new Set(), // glitches waiting for their delay or running
+      feedQueue: [], // fed items waiting for a free column
+      feedColumns: new Set(), // indexes of the columns raining a fed item
+      feeds: new Set(), // sources pulled by feedFrom()
+      recordings: new Set(), // recordings started by record() and not stopped yet
+      replays: new Set(), // recordings played back by replay()
+      messages: new Set(), // messages on screen, for their labels
+      layers: [], // planes of rain behind this one, as {name, overrides, element, monitor}
+      history: [], // painted changes of the last seconds, as {time, cell, changes, previous}
+      historyStart: 0, // index of the oldest change still in the window
+      hold: {
+        count: 0, // glitches keeping the rain still
+        resume: false // whether the rain resumes when the last of them ends
+      },
+      palette: null,
+      paletteSource: null,
+      charset: null,
+      charsetSource: null,
+      alphabetSource: null,
+      mainLoop: null,
+      createDroplet: null,
+      updateCell: null,
+      clock,
+      ...createTimers(clock),
+      timers: {
+        mainLoopInterval: null,
+        mainLoopDuration: null,
+        mutation: null,
+        glitch: null,
+        start: null,
+        pause: null,
+        resume: null,
+        thaw: null, // a frame request, as the clock is frozen meanwhile
+        hold: null,
+        stop: null
+      },
+      // the time of the scene, in milliseconds, as moved by the clock
+      now() {
+        return this.clock.now()
+      },
+      emit(event, data = {}) {
+        const handlers = this.listeners.get(event)
+        if (!handlers) {
+          return
+        }
+        for (const handler of [...handlers]) {
+          try {
+            handler.call(this.instance, {type: event, ...data})
+          } catch (error) {
+            console.error(error)
+          }
+        }
+      },
+      // paints through the renderer, keeping the cell state and the history
+      // the glitches rely on
+      paint(cell, changes) {
+        // only the rain asks for mirrored glyphs, the rest shows them as they are
+        if ((changes.char !== undefined) && (changes.mirrored === undefined)) {
+          changes = {...changes, mirrored: false}
+        }
+        const painted = cell.painted
+        const previous = {...painted}
+        for (const property of paintedProperties) {
+          if (changes[property] !== undefined) {
+            painted[property] = changes[property]
+          }
+        }
+        const time = this.now()
+        const history = this.history
+        history.push({time, cell, changes, previous})
+        while (history[this.historyStart].time < time - historyWindow) {
+          this.historyStart++
+        }
+        if (this.historyStart > history.length / 2) {
+          history.splice(0, this.historyStart)
+          this.historyStart = 0
+        }
+        // the rain keeps falling behind the cells parted by the pointer
+        this.render(cell, cell.isParted ? {...changes, opacity: 0} : changes)
+      },
+      // every change shown on screen goes through here, to the renderer and
+      // to the recordings
+      render(cell, changes) {
+        // timers of a grid laid out again may still reach its old cells
+        if (cell.isRemoved) {
+          return
+        }
+        this.renderer.paint(cell, changes)
+        for (const recording of this.recordings) {
+          recording.capture(cell, changes)
+        }
+      },
+      // the cell under a point of the page, if any
+      cellAt(clientX, clientY) {
+        const {paddingLeft, paddingTop, cellWidth, cellHeight,
+          horizontalSpacing, verticalSpacing} = this.layout
+        const rect = this.host.getOrigin()
+        const columnIndex = Math.floor((clientX - rect.left - paddingLeft
+          + (horizontalSpacing / 2)) / (cellWidth + horizontalSpacing))
+        const rowIndex = Math.floor((clientY - rect.top - paddingTop
+          + (verticalSpacing / 2)) / (cellHeight + verticalSpacing))
+        const column = this.columns[columnIndex]
+        return (column && column.cells[rowIndex]) || null
+      },
+      // cells whose centers are within the radius (in pixels) of a point of the page
+      cellsAround(clientX, clientY, radius) {
+        const {cellWidth, cellHeight} = this.layout
+        const rect = this.host.getOrigin()
+        const x = clientX - rect.left
+        const y = clientY - rect.top
+        const cells = []
+        for (const column of this.columns) {
+          const dx = column.x + (cellWidth / 2) - x
+          if (Math.abs(dx) > radius) {
+            continue
+          }
+          for (const cell of column.cells) {
+            const dy = cell.y + (cellHeight / 2) - y
+            const distance = Math.sqrt((dx * dx) + (dy * dy))
+            if (distance <= radius) {
+              cells.push({cell, distance})
+            }
+          }
+        }
+        return cells
+      },
+      // the container only takes the pointer (and goes over the page) when
+      // some interaction is on
+      refreshInteraction() {
+        if (!this.container) {
+          return
+        }
+        const {burstOnClick, wakeOnMove, partOnDrag} = this.options
+        this.host.setStyle({
+          zIndex: (burstOnClick || wakeOnMove || partOnDrag) ? '0' : '-1',
+          touchAction: partOnDrag ? 'none' : ''
+        })
+      },
+      // the motion the user is fine with, slowing the clock down or leaving
+      // the rain still; glitches only run in full motion
+      refreshMotion() {
+        const {reducedMotion, timeScale} = this.options
+        const prefersReducedMotion = this.prefersReducedMotion
+        const motion = (reducedMotion === 'auto')
+          ? (prefersReducedMotion ? 'slow' : 'full')
+          : ((reducedMotion === 'none') ? 'full' : reducedMotion)
+        this.motion = motion
+        this.clock.setTimeScale(timeScale * ((motion === 'slow') ? reducedTimeScale : 1))
+        if (motion !== 'full') {
+          this.glitches.forEach(glitch => glitch.cancel())
+        }
+        this.scheduleGlitch()
+        if ((motion === 'static') && (this.timers.mainLoopInterval !== null)) {
+          this.paintStill()
+        }
+      },
+      // a still screen of faded characters, in place of the rain
+      paintStill() {
+        const heldColumns = this.getHeldColumns()
+        if (heldColumns === null) {
+          return
+        }
+        const {onFade, fontColor} = this.options
+        for (const column of this.columns) {
+          if (heldColumns.has(column.index)) {
+            continue
+          }
+          for (const cell of column.cells) {
+            if (!cell.owner && !cell.painted.char) {
+              this.paint(cell, {
+                char: this.getRandomChar(),
+                mirrored: cell.isMirrored,
+                color: onFade.fontColor || fontColor,
+                opacity: onFade.opacity,
+                transitionDuration: 0
+              })
+            }
+          }
+        }
+      },
+      // holds the rain while the page is hidden or the monitor is scrolled
+      // out of view, and lets it go once it's back
+      refreshVisibility() {
+        const isHidden = this.options.autoPause && !this.isVisible
+        if (isHidden && !this.visibilityRelease) {
+          this.visibilityRelease = this.holdRain()
+        } else if (!isHidden && this.visibilityRelease) {
+          const release = this.visibilityRelease
+          this.visibilityRelease = null
+          release()
+        }
+      },
+      // screen readers skip the rain, reading the ariaLabel option and the
+      // labels of what is drawn or written on screen, if any
+      refreshLabel() {
+        if (!this.container) {
+          return
+        }
+        const labels = [
+          this.options.ariaLabel,
+          ...this.regions.map(region => region.options.label),
+          ...[...this.messages].map(message => message.label)
+        ].filter(label => (label !== null) && (label !== undefined) && (label !== ''))
+        const hasLabel = labels.length > 0
+        this.host.setAttributes({
+          'role': hasLabel ? 'img' : null,
+          'aria-label': hasLabel ? labels.join('. ') : null,
+          'aria-hidden': hasLabel ? null : 'true'
+        })
+      },
+      // paints the cell as last painted, or as another cell (or a past state) is
+      restoreCell(cell, state = cell.painted, transitionDuration = 0) {
+        const {char, color, opacity, backgroundColor, glow} = state.painted || state
+        this.render(cell, {
+          char,
+          color: color || this.options.fontColor,
+          opacity: cell.isParted ? 0 : opacity,
+          backgroundColor: backgroundColor || 'transparent',
+          glow,
+          transitionDuration
+        })
+      },
+      // pauses the rain for a glitch, a replay or a hidden page; the returned
+      // function lets it go after a delay, unless it's still held or was
+      // paused or stopped meanwhile. Unlike pause() and resume(), this tells
+      // no listener, as the rain goes on as the user wants it
+      holdRain() {
+        const hold = this.hold
+        if (hold.count++ === 0) {
+          if (this.timers.hold !== null) {
+            // held again before it was let go
+            this.clearTimeout(this.timers.hold)
+            this.timers.hold = null
+          } else {
+            hold.resume = this.timers.mainLoopInterval !== null
+            if (hold.resume) {
+              this.stopRain()
+              this.pauseCells()
+            }
+          }
+        }
+        let isReleased = false
+        return (delay = 0) => {
+          if (isReleased) {
+            return
+          }
+          isReleased = true
+          if ((--hold.count === 0) && hold.resume) {
+            this.timers.hold = this.setTimeout(() => {
+              this.timers.hold = null
+              hold.resume = false
+              this.startRain()
+              this.resumeCells()
+            }, delay)
+          }
+        }
+      },
+      // the rain as started: the main loop, the mutations, the glitches
+      // and the feed
+      startRain() {
+        const timers = this.timers
+        this.clearInterval(timers.mainLoopInterval)
+        this.mainLoop()
+        timers.mainLoopInterval = this.setInterval(this.mainLoop, this.options.mainLoopInterval)
+        this.clearInterval(timers.mutation)
+        timers.mutation = this.setInterval(this.mutateCells, mutationTick)
+        this.scheduleGlitch()
+        this.dispatchFeed()
+      },
+      // no new droplets, mutations or glitches, leaving the falling ones as they are
+      stopRain() {
+        const timers = this.timers
+        this.clearInterval(timers.mainLoopInterval)
+        timers.mainLoopInterval = null
+        this.clearInterval(timers.mutation)
+        timers.mutation = null
+        this.clearTimeout(timers.glitch)
+        timers.glitch = null
+      },
+      // stops the falling cells and trails, or only those still at the top
+      // of their columns
+      pauseCells(onlyTopCells = false) {
+        for (const cell of onlyTopCells ? this.topCells : this.cells) {
+          this.clearTimeout(cell.update.timer)
+          cell.update.timer = null
+        }
+        for (const trail of this.trails) {
+          if (!onlyTopCells || (trail.row < trail.firstRow)) {
+            this.clearTimeout(trail.timer)
+            trail.timer = null
+          }
+        }
+      },
+      // lets the paused cells and trails fall on; with onlyTopCells, those
+      // paused further down are left on screen as they are
+      resumeCells(onlyTopCells = false) {
+        if (onlyTopCells) {
+          // the droplets raining fed items are left as they are
+          this.feedColumns.clear()
+        } else {
+          for (const topCell of this.topCells) {
+            let cellDelay = 0
+            for (let cell = topCell; cell; cell = cell.nextCell) {
+              const update = cell.update
+              if (update.isUpdated) {
+                continue
+              }
+              this.scheduleUpdate(cell, update.nextChar, cellDelay,
+                update.progression, update.droplet)
+              cellDelay += update.progression
+            }
+          }
+        }
+        for (const trail of this.trails) {
+          if (trail.timer !== null) {
+            continue
+          }
+          if (onlyTopCells && (trail.row >= trail.firstRow)) {
+            this.trails.delete(trail)
+            this.endDroplet(trail.droplet)
+          } else {
+            trail.timer = this.setTimeout(this.moveTrail, trail.droplet.progression, trail)
+          }
+        }
+      },
+      // random glitches at the glitchFrequency, while the rain is falling
+      scheduleGlitch() {
+        this.clearTimeout(this.timers.glitch)
+        this.timers.glitch = null
+        const {
+          glitchFrequency,
+          glitches,
+          minGlitchDuration,
+          maxGlitchDuration
+        } = this.options
+        if (!(glitchFrequency > 0) || (this.timers.mainLoopInterval === null)) {
+          return
+        }
+        if (this.motion !== 'full') {
+          return
+        }
+        const delay = -Math.log(1 - this.random.next()) * (60000 / glitchFrequency)
+        this.timers.glitch = this.setTimeout(() => {
+          this.timers.glitch = null
+          // a failing glitch doesn't end the ones to come
+          try {
+            const names = glitches || Object.keys(MatrixMonitor.Glitch)
+              .filter(name => typeof MatrixMonitor.Glitch[name] === 'function')
+            if ((this.glitches.size === 0) && (names.length > 0)) {
+              this.instance.glitch(names[this.random(0, names.length)], {
+                duration: this.random(minGlitchDuration, maxGlitchDuration)
+              }).catch(error => console.error(error))
+            }
+          } finally {
+            this.scheduleGlitch()
+          }
+        }, delay)
+      },
+      // compiled again whenever the palette option is replaced
+      getPalette() {
+        if (this.paletteSource !== this.options.palette) {
+          this.palette = compilePalette(this.options.palette, this)
+          this.paletteSource = this.options.palette
+        }
+        return this.palette
+      },
+      // compiled again whenever the charset or the alphabet is replaced
+      getCharset() {
+        const {charset, alphabet} = this.options
+        if ((this.charsetSource !== charset) || (this.alphabetSource !== alphabet)) {
+          this.charset = compileCharset(charset, alphabet)
+          this.charsetSource = charset
+          this.alphabetSource = alphabet
+        }
+        return this.charset
+      },
+      // the planes of the layers option, each one a monitor of its own on
+      // an element of the host, raining along with this one
+      createLayers() {
+        const isRaining = this.timers.mainLoopInterval !== null
+        // the ones created before one fails are destroyed along with the monitor
+        this.layers = []
+        findLayers(this.options.layers).forEach((layer, index) => {
+          const {name = null, opacity = 1, blur = 0, ...overrides} = layer
+          const element = this.host.createLayer({opacity, blur})
+          const monitor = new MatrixMonitor(element,
+            layerOptions(this.options, overrides, index))
+          if (this.isInitialized) {
+            this.host.attachLayer(element)
+          }
+          if (isRaining) {
+            monitor.start()
+          }
+          this.layers.push({name, overrides, element, monitor})
+        })
+      },
+      destroyLayers() {
+        for (const layer of this.layers) {
+          layer.monitor.destroy()
+          this.host.detachLayer(layer.element)
+        }
+        this.layers = []
+      },
+      // a layer by its name or its index, the farthest one being 0
+      findLayer(nameOrIndex) {
+        const layer = (typeof nameOrIndex === 'number')
+          ? this.layers[nameOrIndex]
+          : this.layers.find(layer => layer.name === nameOrIndex)
+        if (!layer) {
+          throw new Error(`Unknown layer: ${nameOrIndex}`)
+        }
+        return layer
+      },
+      // the changed options the layers follow, as far as they don't set them
+      refreshLayers(options) {
+        for (const [index, layer] of this.layers.entries()) {
+          const changes = Object.fromEntries(Object.keys(options)
+            .filter(name => !ownOptions.includes(name) && !(name in layer.overrides))
+            .map(name => [name, this.options[name]]))
+          // a theme changes the colors of the layers, not their background
+          if ('theme' in options) {
+            for (const name of ['fontColor', 'palette', 'onHead', 'onAppear', 'onFade', 'onDelete']) {
+              if (!(name in layer.overrides)) {
+                changes[name] = this.options[name]
+              }
+            }
+          }
+          if ('seed' in options) {
+            changes.seed = layerOptions(this.options, {}, index).seed
+          }
+          if (Object.keys(changes).length > 0) {
+            layer.monitor.setOptions(changes)
+          }
+        }
+      },
+      // cells let the layers behind show through when they are blank
+      getCellBackground() {
+        return (this.layers.length > 0) ? 'transparent' : this.options.backgroundColor
+      },
+      // the rain of these cells is shown mirrored
+      rollMirrored(cell) {
+        const mirrored = this.options.mirrored
+        cell.isMirrored = (mirrored > 0) && (this.random.next() < mirrored)
+      },
+      // painted cells take the new colors on their next update
+      refreshColors() {
+        if (!this.isInitialized) {
+          return
+        }
+        this.host.setStyle({
+          backgroundColor: this.options.backgroundColor,
+          color: this.options.fontColor
+        })
+        this.renderer.resize()
+      },
+      reset() {
+        this.isInitialized = false
+        this.container = null
+        this.layout = null
+        this.renderer = null
+        this.regions = []
+        this.trails = new Set()
+        this.glitches = new Set()
+        this.feedColumns = new Set()
+        this.history = []
+        this.historyStart = 0
+        this.hold = {count: 0, resume: false}
+        this.prefersReducedMotion = false
+        this.isVisible = true
+        this.visibilityRelease = null
+        this.messages = new Set()
+        this.columns = []
+        this.cells = []
+        this.topCells = []
+        this.timers = {
+          mainLoopInterval: null,
+          mainLoopDuration: null,
+          mutation: null,
+          glitch: null,
+          start: null,
+          pause: null,
+          resume: null,
+          thaw: null,
+          hold: null,
+          stop: null
+        }
+      },
+      addColumn(x) {
+        const monitor = this
+        const columnIndex = this.columns.length
+
+        const column = {
+          htmlElement: null,
+          index: columnIndex,
+          x,
+          cells: [],
+          topCell: null,
+          * [Symbol.iterator]() {
+            for (const cell of this.cells) {
+              yield cell
+            }
+          },
+
+          addCell(y) {
+            const col = this
+            const rowIndex = col.cells.length
+
+            const cell = {
+              htmlElement: null,
+              rowIndex,
+              columnIndex,
+              x,
+              y,
+              get nextCell() {
+                return col.cells[rowIndex + 1]
+              },
+              * getNextCells() {
+                let nextCell = this.nextCell
+                do {
+                  yield nextCell
+                  nextCell = nextCell.nextCell
+                } while (nextCell)
+              },
+              isRemoved: false,
+              isParted: false, // hidden around the pointer while dragging
+              isMirrored: false,
+              // as last painted, leaving out the transient changes of glitches
+              painted: {
+                char: '',
+                color: null,
+                opacity: 1,
+                backgroundColor: null,
+                glow: null,
+                mirrored: false
+              },
+              owner: null, // set while a message holds the cell
+              update: {
+                timer: null,
+                function: null,
+                delay: null,
+                dueTime: null,
+                progression: null,
+                nextChar: null,
+                isUpdated: false,
+                droplet: null
+              }
+            }
+            monitor.rollMirrored(cell)
+            col.cells.push(cell)
+            monitor.cells.push(cell)
+            if (rowIndex === 0) {
+              col.topCell = cell
+              monitor.topCells.push(cell)
+            }
+            monitor.renderer.addCell(cell)
+            return cell
+          },
+
+          removeCell() {
+            const cell = this.cells.pop()
+            monitor.clearTimeout(cell.update.timer)
+            cell.isRemoved = true
+            monitor.renderer.removeCell(cell)
+            return cell
+          }
+        }
+
+        this.columns.push(column)
+        monitor.renderer.addColumn(column)
+        return column
+      },
+      removeColumn() {
+        const column = this.columns.pop()
+        while (column.cells.length > 0) {
+          column.removeCell()
+        }
+        this.renderer.removeColumn(column)
+        return column
+      },
+      get rowCount() {
+        return this.columns.length ? this.columns[0].cells.length : 0
+      },
+      // the padded table of glyphs a drawn image takes on screen
+      createRegionTable(image, options) {
+        const {
+          marginTop     = 2,
+          paddingTop    = 1,
+          marginBottom  = 2,
+          paddingBottom = 1,
+          marginRight   = 2,
+          paddingRight  = 1,
+          marginLeft    = 2,
+          paddingLeft   = 1,
+          paddingChar   = '',
+          ramp
+        } = options
+
+        if (isRasterImage(image)) {
+          const {cellWidth, cellHeight, horizontalSpacing, verticalSpacing} = this.layout
+          // the last row of each column is below the screen
+          const maxRows = this.rowCount - 1 - marginTop - paddingTop
+            - paddingBottom - marginBottom
+          const maxColumns = this.columns.length - marginLeft - paddingLeft
+            - paddingRight - marginRight
+          image = MatrixMonitor.Image.fromRaster(image, {
+            columns: maxColumns,
+            rows: maxRows,
+            cellAspectRatio: (cellWidth + horizontalSpacing) / (cellHeight + verticalSpacing),
+            ...options,
+            // each glyph a step of brightness, after the blank one
+            ...((ramp === 'alphabet') && {
+              ramp: () => this.getRandomChar(),
+              levels: this.getCharset().glyphs.length + 1
+            })
+          })
+        }
+
+        if (!Array.isArray(image)) {
+          if (typeof image !== 'string') {
+            throw new Error(
+              'ASCII image must be a string or a multidimensional array of rows by columns')
+          }
+          image = image.split(/\n/g).map(splitGraphemes)
+        } else if (!Array.isArray(image[0])) {
+          throw new Error(
+            'ASCII image must be a string or a multidimensional array of rows by columns')
+        }
+
+        // null glyphs are transparent, missing ones are filled with the padding char
+        const imageWidth = Math.max(...image.map(row => row.length))
+        const paddingRow = () =>
+          new Array(paddingLeft + imageWidth + paddingRight).fill(paddingChar)
+        const table = []
+        for (let i = 0; i < paddingTop; i++) {
+          table.push(paddingRow())
+        }
+        for (const imageRow of image) {
+          const row = new Array(paddingLeft).fill(paddingChar)
+          for (let j = 0; j < imageWidth; j++) {
+            const glyph = imageRow[j]
+            row.push(((glyph === undefined) || (glyph === '')) ? paddingChar : glyph)
+          }
+          table.push(row.concat(new Array(paddingRight).fill(paddingChar)))
+        }
+        for (let i = 0; i < paddingBottom; i++) {
+          table.push(paddingRow())
+        }
+        return table
+      },
+      // finds the top-left cell of a region from its anchor, position and offsets
+      placeRegion(region) {
+        const {
+          anchor       = 'top-left',
+          row          = null,
+          column       = null,
+          offsetX      = 0,
+          offsetY      = 0,
+          marginTop    = 2,
+          marginBottom = 2,
+          marginRight  = 2,
+          marginLeft   = 2
+        } = region.options
+        const table = region.table
+        const width = table.length ? table[0].length : 0
+        const height = table.length
+        const gridColumns = this.columns.length
+        // the last row of each column is below the screen
+        const gridRows = this.rowCount - 1
+
+        const toCells = (value, size) => {
+          if ((typeof value === 'string') && value.endsWith('%')) {
+            return Math.round((size * parseFloat(value)) / 100)
+          }
+          return Math.round(Number(value)) || 0
+        }
+        const toPosition = (value, size) => {
+          const position = toCells(value, size)
+          return (position < 0) ? position + size : position
+        }
+
+        const anchorParts = String(anchor).split('-')
+        if (anchorParts.some(part => !['top', 'bottom', 'left', 'right', 'center'].includes(part))) {
+          throw new Error(`Invalid anchor: ${anchor}`)
+        }
+        const vertical = anchorParts.find(part => (part === 'top') || (part === 'bottom'))
+        const horizontal = anchorParts.find(part => (part === 'left') || (part === 'right'))
+
+        let left = Math.floor((gridColumns - width) / 2)
+        if (column !== null) {
+          left = toPosition(column, gridColumns)
+        } else if (horizontal === 'left') {
+          left = marginLeft
+        } else if (horizontal === 'right') {
+          left = gridColumns - width - marginRight
+        }
+        let top = Math.floor((gridRows - height) / 2)
+        if (row !== null) {
+          top = toPosition(row, gridRows)
+        } else if (vertical === 'top') {
+          top = marginTop
+        } else if (vertical === 'bottom') {
+          top = gridRows - height - marginBottom
+        }
+
+        Object.assign(region, {
+          left: left + toCells(offsetX, gridColumns),
+          top: top + toCells(offsetY, gridRows),
+          width,
+          height
+        })
+      },
+      // what the regions show in a column, by row; undefined where the rain goes on
+      getColumnGlyphs(columnIndex) {
+        const glyphs = []
+        for (const region of this.regions) {
+          const j = columnIndex - region.left
+          if ((j < 0) || (j >= region.width)) {
+            continue
+          }
+          region.table.forEach((row, i) => {
+            const glyph = row[j]
+            if ((glyph !== null) && (glyph !== undefined) && (region.top + i >= 0)) {
+              glyphs[region.top + i] = glyph
+            }
+          })
+        }
+        return glyphs
+      },
+      // sends droplets down the columns to redraw them as the regions are
+      // now, or to clear them when nothing else should be there
+      dropColumns(columnIndexes, maxDelay = 1500) {
+        const isRaining = this.timers.mainLoopInterval !== null
+        for (const index of columnIndexes) {
+          const column = this.columns[index]
+          if (!column) {
+            continue
+          }
+          this.feedColumns.delete(index)
+          let charList = this.getColumnGlyphs(index)
+          // trails leave no characters behind, so only the images are redrawn
+          if (this.options.mode === 'trail') {
+            this.endTrails(index)
+            charList = (charList.length > 0)
+              ? Array.from(column.cells, (cell, i) => charList[i] ?? '')
+              : []
+          }
+          const dropletOptions = ((isRaining && (this.options.mode !== 'trail'))
+            || (charList.length > 0))
+            ? {charList}
+            : {clearScreen: true}
+          this.clearTimeout(column.topCell.update.timer)
+          column.topCell.update.timer = this.setTimeout(this.createDroplet,
+            this.random(0, maxDelay), column.topCell, dropletOptions)
+        }
+      },
+      // columns kept still by the images on screen, or null when it's the whole screen
+      getHeldColumns() {
+        const regions = this.regions
+        if (regions.some(region => region.options.keepOnNotAffectedColumns === false)) {
+          return null
+        }
+        const heldColumns = new Set()
+        for (const region of regions) {
+          for (let i = region.left; i < region.left + region.width; i++) {
+            heldColumns.add(i)
+          }
+        }
+        return heldColumns
+      },
+      isInRegion(cell) {
+        return this.regions.some(region =>
+          (cell.columnIndex >= region.left) && (cell.columnIndex < region.left + region.width)
+          && (cell.rowIndex >= region.top) && (cell.rowIndex < region.top + region.height))
+      },
+      endDroplet(droplet) {
+        this.emit('dropletEnd', droplet)
+        if (droplet.item !== null) {
+          this.feedColumns.delete(droplet.column)
+          this.dispatchFeed()
+        }
+      },
+      // fed items rain down the columns not held by images nor raining other items
+      dispatchFeed() {
+        const heldColumns = this.getHeldColumns()
+        if ((this.timers.mainLoopInterval === null) || (heldColumns === null)) {
+          return
+        }
+        const freeColumns = this.columns.filter(column =>
+          !heldColumns.has(column.index) && !this.feedColumns.has(column.index))
+        while ((this.feedQueue.length > 0) && (freeColumns.length > 0)) {
+          const [column] = freeColumns.splice(this.random(0, freeColumns.length), 1)
+          const item = this.feedQueue.shift()
+          this.feedColumns.add(column.index)
+          if (this.options.mode === 'trail') {
+            this.createTrail(column, 0, {chars: splitGraphemes(item), item})
+          } else {
+            this.clearTimeout(column.topCell.update.timer)
+            this.createDroplet(column.topCell, {charList: splitGraphemes(item), item})
+          }
+        }
+      },
+      // trail droplets leave whatever they have drawn on screen
+      endTrails(columnIndex = null) {
+        for (const trail of this.trails) {
+          if ((columnIndex === null) || (trail.column.index === columnIndex)) {
+            this.clearTimeout(trail.timer)
+            this.trails.delete(trail)
+            if (trail.row >= trail.firstRow) {
+              this.endDroplet(trail.droplet)
+            }
+          }
+        }
+      },
+      sortRegions() {
+        // stable, so regions with the same zIndex keep the order they were drawn
+        this.regions.sort((a, b) => (a.options.zIndex || 0) - (b.options.zIndex || 0))
+      },
+      showRegion(region) {
+        region.isVisible = true
+        region.table = this.createRegionTable(region.image, region.options)
+        this.placeRegion(region)
+        this.regions.push(region)
+        this.sortRegions()
+        const columnIndexes = []
+        for (let i = region.left; i < region.left + region.width; i++) {
+          columnIndexes.push(i)
+        }
+        this.dropColumns(columnIndexes)
+        this.refreshLabel()
+        this.emit('drawShown', {image: region.image, duration: region.options.duration})
+      },
+      hideRegion(region) {
+        this.clearTimeout(region.timers.hide)
+        this.clearInterval(region.timers.refresh)
+        region.isVisible = false
+        this.regions = this.regions.filter(visible => visible !== region)
+        const columnIndexes = []
+        for (let i = region.left; i < region.left + region.width; i++) {
+          columnIndexes.push(i)
+        }
+        this.dropColumns(columnIndexes)
+        this.refreshLabel()
+        this.emit('drawHidden', {image: region.image, duration: region.options.duration})
+        region.done()
+      },
+      // renders a widget again, repainting only the characters that changed,
+      // or laying it out again when its size changes
+      refreshWidget(region) {
+        const image = region.render()
+        if (image === region.image) {
+          return
+        }
+        const previousTable = region.table
+        region.image = image
+        const table = this.createRegionTable(image, region.options)
+        if ((table.length !== previousTable.length)
+          || ((table[0] || []).length !== (previousTable[0] || []).length)) {
+          this.refreshRegions([region], true)
+          return
+        }
+        region.table = table
+        const glyphKey = glyph => (glyph && (typeof glyph === 'object'))
+          ? `${glyph.char}\u0000${glyph.color}`
+          : glyph
+        const columnGlyphs = new Map()
+        table.forEach((row, i) => row.forEach((glyph, j) => {
+          const columnIndex = region.left + j
+          const column = this.columns[columnIndex]
+          const cell = column && column.cells[region.top + i]
+          if (!cell || (glyphKey(glyph) === glyphKey(previousTable[i][j]))) {
+            return
+          }
+          // regions above this one may cover the cell
+          if (!columnGlyphs.has(columnIndex)) {
+            columnGlyphs.set(columnIndex, this.getColumnGlyphs(columnIndex))
+          }
+          const shownGlyph = columnGlyphs.get(columnIndex)[cell.rowIndex]
+          if (shownGlyph !== undefined) {
+            this.updateCell(cell, shownGlyph)
+          }
+        }))
+      },
+      // lays the regions out again (after a resize, move or update), redrawing
+      // the columns of those that changed
+      refreshRegions(regions = this.regions, isForced = false) {
+        const columnIndexes = new Set()
+        for (const region of regions) {
+          const {left, top, width, height} = region
+          region.table = this.createRegionTable(region.image, region.options)
+          this.placeRegion(region)
+          const hasChanged = (left !== region.left) || (top !== region.top)
+            || (width !== region.width) || (height !== region.height)
+          if (!isForced && !hasChanged) {
+            continue
+          }
+          for (let i = left; i < left + width; i++) {
+            columnIndexes.add(i)
+          }
+          for (let i = region.left; i < region.left + region.width; i++) {
+            columnIndexes.add(i)
+          }
+        }
+        this.sortRegions()
+        this.dropColumns(columnIndexes)
+      },
+      // sizes the cells and the container from the options, and sets up
+      // the renderer drawing them
+      applyLayout() {
+        let {
+          renderer,
+          width,
+          height,
+          paddingLeft,
+          paddingTop,
+          backgroundColor,
+          fontColor,
+          fontSize,
+          fontFamily,
+          fontWeight,
+          cellWidth,
+          cellHeight,
+          horizontalSpacing,
+          verticalSpacing
+        } = this.options
+
+        const createRenderer = findRenderer(renderer, this.host)
+
+        paddingTop = parseInt(paddingTop)
+        paddingLeft = parseInt(paddingLeft)
+        cellWidth = parseInt(cellWidth)
+        cellHeight = parseInt(cellHeight)
+        horizontalSpacing = parseInt(horizontalSpacing)
+        verticalSpacing = parseInt(verticalSpacing)
+        // hosts with cells of their own, like terminals, lay them out themselves
+        this.layout = this.host.layout || {
+          paddingTop,
+          paddingLeft,
+          cellWidth,
+          cellHeight,
+          horizontalSpacing,
+          verticalSpacing
+        }
+
+        this.host.setStyle({
+          userSelect: 'none',
+          position: 'relative',
+          top: '0',
+          left: '0',
+          zIndex: '-1',
+          overflow: 'hidden',
+          display: 'flex',
+          margin: '0',
+          padding: '0',
+          width: width + (typeof width === 'number' ? 'px' : ''),
+          height: height + (typeof height === 'number' ? 'px' : ''),
+          backgroundColor,
+          color: fontColor,
+          fontSize: fontSize + (typeof fontSize === 'number' ? 'px' : ''),
+          fontFamily,
+          fontWeight,
+          textAlign: 'center'
+        })
+
+        this.renderer = createRenderer(this)
+        this.renderer.initialize(this.container)
+      },
+      // builds the grid again after a layout option has changed: the rain
+      // goes on from the top, drawn images are placed again and messages
+      // on screen go away with their cells
+      relayout() {
+        if (!this.isInitialized) {
+          return
+        }
+        this.endTrails()
+        this.feedColumns.clear()
+        while (this.columns.length > 0) {
+          this.removeColumn()
+        }
+        this.cells = []
+        this.topCells = []
+        this.renderer.destroy()
+        this.applyLayout()
+        this.refreshInteraction()
+        this.resize()
+        this.refreshRegions(this.regions, true)
+      },
+      // fits the grid to the container, keeping whatever is already on screen
+      resize() {
+        const {
+          paddingTop,
+          paddingLeft,
+          cellWidth,
+          cellHeight,
+          horizontalSpacing,
+          verticalSpacing
+        } = this.layout
+        // columns overflow the bottom by one cell, so droplets leave the screen smoothly
+        const size = this.host.getSize()
+        const width = size.width - paddingLeft
+        const height = size.height + cellHeight
+        const columnStep = cellWidth + horizontalSpacing
+        const rowStep = cellHeight + verticalSpacing
+        const columnCount = Math.max(0, Math.ceil(width / columnStep))
+        const rowCount = Math.max(0, Math.ceil(height / rowStep))
+
+        while (this.columns.length > columnCount) {
+          this.removeColumn()
+        }
+        for (const index of this.feedColumns) {
+          if (index >= columnCount) {
+            this.feedColumns.delete(index)
+          }
+        }
+        const firstNewColumn = this.columns.length
+        while (this.columns.length < columnCount) {
+          this.addColumn(paddingLeft + (this.columns.length * columnStep))
+        }
+        for (const column of this.columns) {
+          while (column.cells.length > rowCount) {
+            column.removeCell()
+          }
+          const lastCell = column.cells[column.cells.length - 1]
+          while (column.cells.length < rowCount) {
+            column.addCell(paddingTop + (column.cells.length * rowStep))
+          }
+          // a droplet still falling down keeps going through the new rows
+          const update = lastCell && lastCell.update
+          if (update && !update.isUpdated && (update.timer !== null)) {
+            let delay = Math.max(0, update.dueTime - this.now())
+            let previousChar = update.nextChar
+            for (let cell = lastCell.nextCell; cell; cell = cell.nextCell) {
+              delay += update.progression
+              previousChar = this.getRandomChar(previousChar)
+              this.scheduleUpdate(cell, {char: previousChar, mirrored: cell.isMirrored},
+                delay, update.progression, update.droplet)
+            }
+          }
+        }
+        this.cells = this.columns.flatMap(column => column.cells)
+        this.topCells = this.columns.map(column => column.topCell)
+        this.renderer.resize()
+        this.refreshRegions()
+
+        // new columns join the rain without waiting for the next main loop
+        if ((this.timers.mainLoopInterval !== null) && (this.options.mode === 'trail')) {
+          this.mainLoop()
+        } else if (this.timers.mainLoopInterval !== null) {
+          const {minCharStartDelay, maxCharStartDelay} = this.options
+          for (const column of this.columns.slice(firstNewColumn)) {
+            const topCell = column.topCell
+            const delay = this.random(minCharStartDelay, maxCharStartDelay)
+            topCell.update.timer = this.setTimeout(this.createDroplet, delay, topCell)
+          }
+        }
+      }
+    }
+
+    const monitor = this[_monitor]
+    // output streams, like process.stdout, rain in the terminal
+    const isStream = Boolean(container) && (typeof container.write === 'function')
+    const createHost = isStream ? MatrixMonitor.Host.TERMINAL : MatrixMonitor.Host.DOM
+    if (typeof createHost !== 'function') {
+      throw new Error(isStream
+        ? 'Missing terminal host: import matrix-monitor-terminal.js'
+        : 'Missing DOM host: import matrix-monitor-dom.js')
+    }
+    monitor.host = createHost(monitor)
+    // an unknown renderer, or layers the host can't show, throw here rather
+    // than once initialized
+    checkHost(this[_options], monitor.host)
+
+    // a failing initialization fails the calls waiting for it as well, and
+    // gives the container back
+    const initialize = () => {
+      try {
+        this[_initialize]()
+      } catch (error) {
+        this[_deferred].splice(0).forEach(call => call.reject(error))
+        this.destroy()
+        console.error(error)
+      }
+    }
+    // instances created after the page has loaded start right away
+    const isReady = monitor.host.isReady()
+    if (isReady || (typeof container !== 'string')) {
+      this[_container] = claimContainer(container, monitor.host)
+    }
+    if (isReady) {
+      queueMicrotask(initialize)
+    } else {
+      monitor.stopWaiting = monitor.host.whenReady(() => {
+        monitor.stopWaiting = null
+        initialize()
+      })
+    }
+    // after this monitor's own start, which gives them their place; a layer
+    // failing to be created gives the container back
+    try {
+      monitor.createLayers()
+    } catch (error) {
+      this.destroy()
+      throw error
+    }
+  }
+
+  // calls the method once the monitor is initialized, after the calls made
+  // before it; the promise resolves once the method calls back, and rejects
+  // with what it throws or calls back with
+  [_defer](method, ...args) {
+    return new Promise((resolve, reject) => {
+      const done = (error) => (error === undefined) ? resolve() : reject(error)
+      const call = {method, args: [...args, done], reject}
+      if (this[_monitor].isInitialized && (this[_deferred].length === 0)) {
+        this[_call](call)
+      } else {
+        this[_deferred].push(call)
+      }
+    })
+  }
+  [_call]({method, args, reject}) {
+    try {
+      this[method](...args)
+    } catch (error) {
+      reject(error)
+    }
+  }
+
+  [_initialize]() {
+    const monitor = this[_monitor]
+    if (monitor.isDestroyed) {
+      return
+    }
+    monitor.reset()
+    monitor.random = createRandom(this[_options])
+    if (typeof this[_container] === 'string') {
+      this[_container] = claimContainer(this[_container], monitor.host)
+    }
+    const container = this[_container]
+    monitor.container = container
+    monitor.host.attach(container)
+    for (const layer of monitor.layers) {
+      monitor.host.attachLayer(layer.element)
+    }
+
+    monitor.applyLayout()
+
+    monitor.resize()
+    monitor.refreshLabel()
+    monitor.host.watch({
+      resize: () => monitor.resize(),
+      motion: (prefersReducedMotion) => {
+        monitor.prefersReducedMotion = prefersReducedMotion
+        monitor.refreshMotion()
+      },
+      visibility: (isVisible) => {
+        monitor.isVisible = isVisible
+        monitor.refreshVisibility()
+      }
+    })
+    monitor.refreshMotion()
+
+    monitor.getRandomChar = (except = null) => {
+      const {glyphs, cumulativeWeights, isUniform} = monitor.getCharset()
+      // weighted glyphs may repeat, as often as their weights tell; the one
+      // to avoid is left out of the draw, the others keeping their odds
+      if (!isUniform) {
+        const exceptIndex = (except && (glyphs.length > 1)) ? glyphs.indexOf(except) : -1
+        const exceptStart = (exceptIndex > 0) ? cumulativeWeights[exceptIndex - 1] : 0
+        const exceptWeight = (exceptIndex >= 0) ? cumulativeWeights[exceptIndex] - exceptStart : 0
+        let target = monitor.random.next() * (cumulativeWeights[glyphs.length - 1] - exceptWeight)
+        if ((exceptIndex >= 0) && (target >= exceptStart)) {
+          target += exceptWeight
+        }
+        let low = 0
+        let high = glyphs.length - 1
+        while (low < high) {
+          const middle = (low + high) >> 1
+          if (cumulativeWeights[middle] > target) {
+            high = middle
+          } else {
+            low = middle + 1
+          }
+        }
+        return glyphs[low]
+      }
+      const index = monitor.random(0, glyphs.length - 0.000001)
+      let char = glyphs[index]
+      if (except && (except === char) && (glyphs.length > 1)) {
+        char = index !== 0 ? glyphs[0] : glyphs[1]
+      }
+      return char
+    }
+
+    monitor.mainLoop = (mainLoopOptions = {}) => {
+      let {
+        clearScreen = false
+      } = mainLoopOptions
+      let {
+        minCharStartDelay,
+        maxCharStartDelay,
+      } = this[_options]
+      // images on screen keep their columns, or the whole screen, still
+      const heldColumns = monitor.getHeldColumns()
+      if (heldColumns === null) {
+        return
+      }
+      if ((monitor.motion === 'static') && !clearScreen) {
+        monitor.paintStill()
+        return
+      }
+      if ((this[_options].mode === 'trail') && !clearScreen) {
+        monitor.spawnTrails(heldColumns)
+        return
+      }
+
+      for (let i = 0, length = monitor.topCells.length; i < length; i++) {
+        if (heldColumns.has(i) || monitor.feedColumns.has(i)) {
+          continue
+        }
+        const topCell = monitor.topCells[i]
+        const delay = monitor.random(minCharStartDelay, maxCharStartDelay)
+        topCell.update.timer = monitor.setTimeout(monitor.createDroplet, delay,
+          topCell, {clearScreen})
+      }
+    }
+    
+    monitor.createDroplet = (topCell, dropletOptions = {}) => {
+      let {
+        clearScreen = false,
+        charList = [],
+        item = null
+      } = dropletOptions
+      let {
+        minCharProgression,
+        maxCharProgression
+      } = this[_options]
+      let progression = monitor.random(minCharProgression, maxCharProgression)
+      let delay = 0
+      let previousChar = null
+      const droplet = {
+        column: topCell.columnIndex,
+        progression,
+        clearScreen,
+        item, // the fed item it rains, if any
+        startTime: monitor.now()
+      }
+      monitor.emit('dropletStart', droplet)
+
+      for (let cell = topCell, i = 0; cell; cell = cell.nextCell, i++) {
+        let char
+        let glyph
+        if (clearScreen) {
+          char = glyph = ''
+        } else {
+          char = glyph = charList[i]
+          if (!char && (char !== '')) {
+            char = monitor.getRandomChar(previousChar)
+            glyph = {char, mirrored: cell.isMirrored}
+          }
+        }
+        previousChar = char
+
+        monitor.scheduleUpdate(cell, glyph, delay, progression, droplet)
+        delay += progression
+      }
+    }
+
+    // keeps the share of raining columns given by the density, each trail
+    // starting after a random delay
+    monitor.spawnTrails = (heldColumns) => {
+      const {minCharStartDelay, maxCharStartDelay, density} = this[_options]
+      const rainingColumns = new Set([...monitor.trails].map(trail => trail.column))
+      const idleColumns = monitor.columns.filter(column =>
+        !rainingColumns.has(column) && !heldColumns.has(column.index))
+      let missing = Math.round(density * monitor.columns.length) - rainingColumns.size
+      while ((missing > 0) && (idleColumns.length > 0)) {
+        const [column] = idleColumns.splice(monitor.random(0, idleColumns.length), 1)
+        monitor.createTrail(column, monitor.random(minCharStartDelay, maxCharStartDelay))
+        missing--
+      }
+    }
+    monitor.createTrail = (column, delay, trailOptions = {}) => {
+      const {
+        firstRow = 0,
+        chars = null,
+        item = null
+      } = trailOptions
+      const {
+        minCharProgression,
+        maxCharProgression,
+        minTrailLength,
+        maxTrailLength
+      } = this[_options]
+      const progression = monitor.random(minCharProgression, maxCharProgression)
+      // fed items fit whole in their trails
+      const length = Math.max(1, chars ? chars.length : 0,
+        monitor.random(minTrailLength, maxTrailLength + 1))
+      const trail = {
+        column,
+        firstRow,
+        row: firstRow - 1,
+        chars,
+        previousChar: null,
+        timer: null,
+        droplet: {column: column.index, progression, clearScreen: false, item, length}
+      }
+      trail.timer = monitor.setTimeout(monitor.moveTrail, delay, trail)
+      monitor.trails.add(trail)
+    }
+    // moves the head one row down, fading the cells behind it by their distance
+    // to the head until the last one of the trail goes blank
+    monitor.moveTrail = (trail) => {
+      const {column, droplet} = trail
+      const {length, progression} = droplet
+      const options = monitor.options
+      trail.timer = null
+      if (monitor.columns[column.index] !== column) {
+        monitor.trails.delete(trail)
+        return
+      }
+      const row = ++trail.row
+      const cells = column.cells
+      if (row === trail.firstRow) {
+        droplet.startTime = monitor.now()
+        monitor.emit('dropletStart', droplet)
+      }
+
+      const head = cells[row]
+      const charIndex = row - trail.firstRow
+      // a fed item stops adding characters once it's all written
+      if (head && !head.owner && (!trail.chars || (charIndex < trail.chars.length))) {
+        const char = trail.chars
+          ? trail.chars[charIndex]
+          : monitor.getRandomChar(trail.previousChar)
+        trail.previousChar = char
+        head.trail = trail
+        monitor.paint(head, {
+          char,
+          mirrored: !trail.chars && head.isMirrored,
+          color: options.onHead.fontColor,
+          opacity: 1,
+          glow: options.onHead.glow,
+          transitionDuration: 0
+        })
+      }
+      for (let distance = 1; distance <= Math.min(length, row); distance++) {
+        const cell = cells[row - distance]
+        // another droplet may have passed by since
+        if (!cell || (cell.trail !== trail) || cell.owner) {
+          continue
+        }
+        if (distance === length) {
+          cell.trail = null
+          monitor.paint(cell, {char: '', glow: null})
+          continue
+        }
+        const changes = {
+          opacity: 1 - (distance / length),
+          transitionDuration: progression
+        }
+        if (distance === 1) {
+          const palette = monitor.getPalette()
+          changes.color = (palette && palette(cell, monitor.now() - droplet.startTime, droplet))
+            || options.onFade.fontColor
+          changes.glow = null
+        }
+        monitor.paint(cell, changes)
+      }
+
+      const isRaining = monitor.timers.mainLoopInterval !== null
+      if (row - length >= cells.length - 1) {
+        monitor.trails.delete(trail)
+        monitor.endDroplet(droplet)
+        if (isRaining) {
+          monitor.mainLoop()
+        }
+        return
+      }
+      trail.timer = monitor.setTimeout(monitor.moveTrail, progression, trail)
+
+      // once the whole trail is on screen, another droplet may follow it
+      if ((row - trail.firstRow === length) && isRaining) {
+        const {density, maxDropletsPerColumn} = options
+        const heldColumns = monitor.getHeldColumns()
+        const columnTrails = [...monitor.trails].filter(other => other.column === column)
+        if (heldColumns && !heldColumns.has(column.index)
+          && (columnTrails.length < maxDropletsPerColumn)
+          && (monitor.random.next() < density)) {
+          monitor.createTrail(column, monitor.random(0, length * progression))
+        }
+      }
+    }
+
+    // swaps a few of the settled characters, leaving images and messages alone
+    monitor.mutateCells = () => {
+      const {mutationRate, onAppear, onFade, onMutate} = this[_options]
+      if (!(mutationRate > 0) || (monitor.motion !== 'full')) {
+        return
+      }
+      const candidates = monitor.cells.filter(cell => cell.painted.char
+        && (cell.painted.char !== ' ')
+        && !cell.owner && (cell.update.timer === null) && !monitor.isInRegion(cell))
+      const expected = mutationRate * candidates.length * (mutationTick / 1000)
+      let count = Math.floor(expected)
+        + ((monitor.random.next() < expected % 1) ? 1 : 0)
+      const palette = monitor.getPalette()
+      while ((count > 0) && (candidates.length > 0)) {
+        const [cell] = candidates.splice(monitor.random(0, candidates.length), 1)
+        const char = monitor.getRandomChar(cell.painted.char)
+        const color = (palette && palette(cell, 0, null)) || onFade.fontColor
+        monitor.paint(cell, {
+          char,
+          mirrored: cell.isMirrored,
+          color: onMutate.fontColor || onAppear.fontColor,
+          transitionDuration: 0
+        })
+        monitor.setTimeout(() => {
+          if (!cell.isRemoved && !cell.owner && (cell.painted.char === char)) {
+            monitor.paint(cell, {
+              color,
+              transitionDuration: onMutate.transitionDuration
+            })
+          }
+        }, mutationTick)
+        count--
+      }
+    }
+
+    monitor.scheduleUpdate = (cell, char, delay, progression, droplet = null) => {
+      monitor.clearTimeout(cell.update.timer)
+      Object.assign(cell.update, {
+        timer: monitor.setTimeout(monitor.updateCell, delay, cell, char),
+        delay,
+        dueTime: monitor.now() + delay,
+        progression,
+        nextChar: char,
+        isUpdated: false,
+        droplet
+      })
+    }
+    // glyphs are plain characters, {char, color} pairs as sampled from raster
+    // images, or {char, mirrored} ones of the rain
+    monitor.updateCell = (cell, glyph, owner = null) => {
+      if (cell.isRemoved) {
+        return
+      }
+      const droplet = cell.update.droplet
+      cell.update.isUpdated = true
+      cell.update.timer = null
+      // the end of a droplet may start another one in the same column
+      if (droplet && !cell.nextCell) {
+        cell.update.droplet = null
+        monitor.endDroplet(droplet)
+      }
+      // droplets pass behind cells held by a message
+      if (cell.owner && (cell.owner !== owner)) {
+        return
+      }
+      const {char, color = null, mirrored = false} = (glyph && (typeof glyph === 'object'))
+        ? glyph
+        : {char: glyph}
+      const options = monitor.options
+      const onAppear = options.onAppear
+      const onFade = options.onFade
+      const isBlank = (char === '') || (char === ' ')
+      const onDelete = options.onDelete
+      const palette = monitor.getPalette()
+      const fadeColor = color
+        || (palette && !isBlank
+          && palette(cell, droplet ? monitor.now() - droplet.startTime : 0, droplet))
+        || onFade.fontColor
+      monitor.paint(cell, {
+        char,
+        mirrored,
+        color: onAppear.fontColor || options.fontColor,
+        opacity: onAppear.opacity || 1,
+        backgroundColor: isBlank ? onDelete.backgroundColor : undefined,
+        transitionDelay: 0,
+        transitionDuration: isBlank
+          ? (onDelete.transitionDuration || 50)
+          : onAppear.transitionDuration
+      })
+      // timeout needed to trigger the animations between different styles
+      monitor.setTimeout(
+        () => {
+          monitor.paint(cell, {
+            color: fadeColor,
+            opacity: onFade.opacity,
+            backgroundColor: isBlank ? monitor.getCellBackground() : undefined,
+            transitionDelay: 100,
+            transitionDuration: isBlank ? 20 : onFade.transitionDuration
+          })
+        },
+        200
+      )
+    }
+
+    // pointer interaction: bursts on click or tap, wakes on move and parting
+    // on drag, each one told by an event
+    const pointer = {
+      isDown: false,
+      hasDragged: false,
+      downCell: null,
+      lastCell: null,
+      partedCells: new Set()
+    }
+    const burst = (cell) => {
+      const heldColumns = monitor.getHeldColumns()
+      if (heldColumns === null) {
+        return
+      }
+      for (let offset = -1; offset <= 1; offset++) {
+        const column = monitor.columns[cell.columnIndex + offset]
+        if (!column || heldColumns.has(column.index)) {
+          continue
+        }
+        const delay = (offset === 0) ? 0 : monitor.random(50, 300)
+        if (this[_options].mode === 'trail') {
+          monitor.createTrail(column, delay, {firstRow: cell.rowIndex})
+        } else {
+          monitor.setTimeout(monitor.createDroplet, delay, column.cells[cell.rowIndex])
+        }
+      }
+      monitor.emit('burst', {column: cell.columnIndex, row: cell.rowIndex})
+    }
+    const wake = (event, cell) => {
+      const {wakeRadius, wakeDuration, onAppear} = this[_options]
+      for (const {cell: nearCell, distance} of
+        monitor.cellsAround(event.clientX, event.clientY, wakeRadius)) {
+        if (!nearCell.painted.char || nearCell.isParted) {
+          continue
+        }
+        const brightness = 1 - (distance / wakeRadius)
+        monitor.render(nearCell, {
+          color: onAppear.fontColor,
+          opacity: Math.max(nearCell.painted.opacity, brightness),
+          transitionDuration: 0
+        })
+        monitor.setTimeout(() => {
+          if (!nearCell.isRemoved) {
+            monitor.restoreCell(nearCell, nearCell.painted, wakeDuration)
+          }
+        }, 50)
+      }
+      monitor.emit('wake', {column: cell.columnIndex, row: cell.rowIndex})
+    }
+    const part = (event, cell) => {
+      const cells = new Set(monitor.cellsAround(event.clientX, event.clientY,
+        this[_options].partRadius).map(({cell}) => cell))
+      for (const partedCell of pointer.partedCells) {
+        if (!cells.has(partedCell)) {
+          partedCell.isParted = false
+          monitor.restoreCell(partedCell, partedCell.painted, 300)
+        }
+      }
+      for (const partingCell of cells) {
+        if (!partingCell.isParted) {
+          partingCell.isParted = true
+          monitor.render(partingCell, {opacity: 0, transitionDuration: 150})
+        }
+      }
+      pointer.partedCells = cells
+      if (cell) {
+        monitor.emit('part', {column: cell.columnIndex, row: cell.rowIndex})
+      }
+    }
+    const closeParting = () => {
+      for (const partedCell of pointer.partedCells) {
+        partedCell.isParted = false
+        if (!partedCell.isRemoved) {
+          monitor.restoreCell(partedCell, partedCell.painted, 300)
+        }
+      }
+      pointer.partedCells = new Set()
+    }
+    monitor.pointerListeners = {
+      pointerdown: (event) => {
+        pointer.isDown = true
+        pointer.hasDragged = false
+        pointer.downCell = monitor.cellAt(event.clientX, event.clientY)
+        if (this[_options].partOnDrag && container.setPointerCapture) {
+          container.setPointerCapture(event.pointerId)
+        }
+      },
+      pointermove: (event) => {
+        const cell = monitor.cellAt(event.clientX, event.clientY)
+        const {wakeOnMove, partOnDrag} = this[_options]
+        if (pointer.isDown && (cell !== pointer.downCell)) {
+          pointer.hasDragged = true
+        }
+        if (pointer.isDown && pointer.hasDragged && partOnDrag) {
+          part(event, cell)
+        }
+        if (wakeOnMove && cell && (cell !== pointer.lastCell)) {
+          wake(event, cell)
+        }
+        pointer.lastCell = cell
+      },
+      pointerup: (event) => {
+        const cell = monitor.cellAt(event.clientX, event.clientY)
+        if (pointer.isDown && !pointer.hasDragged && cell
+          && this[_options].burstOnClick) {
+          burst(cell)
+        }
+        pointer.isDown = false
+        closeParting()
+      },
+      pointercancel: () => {
+        pointer.isDown = false
+        closeParting()
+      },
+      pointerleave: () => {
+        pointer.lastCell = null
+      }
+    }
+    for (const [type, listener] of Object.entries(monitor.pointerListeners)) {
+      monitor.host.listen(type, listener)
+    }
+    monitor.refreshInteraction()
+
+    monitor.isInitialized = true
+    monitor.emit('initialized', {
+      columns: monitor.columns.length,
+      rows: monitor.rowCount
+    })
+
+    // a failing call leaves the ones after it to run
+    while (this[_deferred].length > 0) {
+      this[_call](this[_deferred].shift())
+    }
+  }
+
+  on(event, handler) {
+    const listeners = this[_monitor].listeners
+    if (!listeners.has(event)) {
+      listeners.set(event, new Set())
+    }
+    listeners.get(event).add(handler)
+    return this
+  }
+
+  once(event, handler) {
+    const onceHandler = (data) => {
+      this.off(event, onceHandler)
+      handler.call(this, data)
+    }
+    return this.on(event, onceHandler)
+  }
+
+  // without a handler removes all handlers of the event, without arguments removes all
+  off(event, handler) {
+    const listeners = this[_monitor].listeners
+    if (event === undefined) {
+      listeners.clear()
+    } else if (handler === undefined) {
+      listeners.delete(event)
+    } else if (listeners.has(event)) {
+      listeners.get(event).delete(handler)
+    }
+    return this
+  }
+
+  // a copy of the current options, with the colors of the theme applied
+  getOptions() {
+    return copyOptions(this[_options])
+  }
+
+  // changes any option while the monitor runs, nested ones merged into the
+  // current values; changes to the size or the look of the cells lay the
+  // grid out again
+  setOptions(options) {
+    const monitor = this[_monitor]
+    validateOptions(options)
+    // wrong charsets, palettes, renderers and layers fail before any option is changed
+    if (('charset' in options) || ('alphabet' in options)) {
+      compileCharset(
+        ('charset' in options) ? options.charset : this[_options].charset,
+        ('alphabet' in options) ? options.alphabet : this[_options].alphabet)
+    }
+    const themeOptions = {}
+    applyTheme(themeOptions, options.theme)
+    compilePalette(('palette' in options) ? options.palette : themeOptions.palette, monitor)
+    checkRanges({...this[_options], ...options})
+    checkHost({...this[_options], ...options}, monitor.host)
+    checkGlitches(options.glitches)
+    applyTheme(this[_options], options.theme)
+    mergeOptions(this[_options], options)
+    if (('seed' in options) || ('random' in options)) {
+      monitor.random = createRandom(this[_options])
+    }
+    if ('clock' in options) {
+      monitor.clock.setSource(this[_options].clock || animationFrames)
+    }
+    // hosts laying out the cells themselves may size them for the new glyphs
+    const hostLayout = monitor.isInitialized ? monitor.host.layout : null
+    const isHostLayoutChanged = Boolean(hostLayout)
+      && (hostLayout.cellWidth !== monitor.layout.cellWidth)
+    if (layoutOptions.some(name => name in options) || isHostLayoutChanged) {
+      monitor.relayout()
+    } else if (['theme', 'backgroundColor', 'fontColor'].some(name => name in options)) {
+      monitor.refreshColors()
+    }
+    const isRaining = monitor.timers.mainLoopInterval !== null
+    if (isRaining && ('mainLoopInterval' in options)) {
+      monitor.clearInterval(monitor.timers.mainLoopInterval)
+      monitor.timers.mainLoopInterval = monitor.setInterval(monitor.mainLoop,
+        this[_options].mainLoopInterval)
+    }
+    // trails give way to whole columns, or start falling right away
+    if (isRaining && ('mode' in options)) {
+      if (this[_options].mode === 'classic') {
+        monitor.endTrails()
+      }
+      monitor.mainLoop()
+    }
+    if (['timeScale', 'reducedMotion'].some(name => name in options)) {
+      monitor.refreshMotion()
+    } else if ('glitchFrequency' in options) {
+      monitor.scheduleGlitch()
+    }
+    if ('autoPause' in options) {
+      monitor.refreshVisibility()
+    }
+    if ('ariaLabel' in options) {
+      monitor.refreshLabel()
+    }
+    // the cells show their new side from their next glyph on
+    if ('mirrored' in options) {
+      for (const cell of monitor.cells) {
+        monitor.rollMirrored(cell)
+      }
+    }
+    if ('layers' in options) {
+      const background = monitor.getCellBackground()
+      monitor.destroyLayers()
+      monitor.createLayers()
+      // blank cells let the new layers show through, or cover the old ones
+      for (const cell of monitor.cells) {
+        if (cell.painted.backgroundColor === background) {
+          monitor.paint(cell, {backgroundColor: monitor.getCellBackground(), transitionDuration: 0})
+        }
+      }
+    } else {
+      monitor.refreshLayers(options)
+    }
+    if (['burstOnClick', 'wakeOnMove', 'partOnDrag'].some(name => name in options)) {
+      monitor.refreshInteraction()
+    }
+  }
+
+  // start, pause, resume and stop as called by the user, which the layers
+  // follow; a glitch holding the rain meanwhile leaves it as the user wants it
+  [_control](name, method, options) {
+    const monitor = this[_monitor]
+    monitor.hold.resume = false
+    monitor.clearTimeout(monitor.timers.hold)
+    monitor.timers.hold = null
+    monitor.layers.forEach(layer => layer.monitor[name](options))
+    return this[_defer](method, options)
+  }
+
+  // resolves once the rain has started
+  start(options = {}) {
+    return this[_control]('start', _start, options)
+  }
+  [_start](options = {}, done = noop) {
+    let {
+      initialDelay,
+      mainLoopDuration
+    } = this[_options]
+    if (options) {
+      if (options.delay) {
+        initialDelay = options.delay
+      }
+      if (options.duration) {
+        mainLoopDuration = options.duration
+      }
+    }
+
+    const monitor = this[_monitor]
+    const timers = monitor.timers
+
+    monitor.clock.cancelFrame(timers.thaw)
+    timers.thaw = null
+    monitor.clock.freeze(false)
+    monitor.clearTimeout(timers.start)
+    const startFunction = () => {
+      monitor.startRain()
+      monitor.emit('started', {duration: mainLoopDuration})
+      done()
+    }
+    if (initialDelay > 0) {
+      timers.start = monitor.setTimeout(startFunction, initialDelay)
+    } else {
+      startFunction()
+    }
+    if (typeof mainLoopDuration === 'number') {
+      this[_stop]({delay: mainLoopDuration + initialDelay})
+    }
+  }
+
+  // resolves once every cell has been paused; with freeze, the whole scene
+  // (images, messages and glitches too) stops at once until resumed
+  pause(options = {}) {
+    return this[_control]('pause', _pause, options)
+  }
+  [_pause](options = {}, done = noop) {
+    const {
+      delay = 0,
+      onlyTopCells = false,
+      allAtOnce = false,
+      freeze = false,
+      minPauseDelay = 0,
+      maxPauseDelay = 1000
+    } = options
+    const monitor = this[_monitor]
+    const timers = monitor.timers
+
+    monitor.clock.cancelFrame(timers.thaw)
+    timers.thaw = null
+    // a freeze frame: the whole scene stops right where it is
+    if (freeze) {
+      monitor.clearTimeout(timers.pause)
+      timers.pause = monitor.setTimeout(() => {
+        monitor.clock.freeze()
+        monitor.emit('paused', {onlyTopCells: false, frozen: true})
+        done()
+      }, delay)
+      return
+    }
+
+    const cellsToPause = onlyTopCells ? monitor.topCells : monitor.cells
+    const pauseCell = (cell) => {
+      monitor.clearTimeout(cell.update.timer)
+      cell.update.timer = null
+    }
+    // trails already falling keep going when only the top cells are paused
+    const trailsToPause = () => [...monitor.trails]
+      .filter(trail => !onlyTopCells || (trail.row < trail.firstRow))
+    const pauseTrail = (trail) => {
+      monitor.clearTimeout(trail.timer)
+      trail.timer = null
+    }
+    monitor.clearTimeout(timers.pause)
+    timers.pause = monitor.setTimeout(
+      () => {
+        monitor.stopRain()
+        if (allAtOnce) {
+          monitor.pauseCells(onlyTopCells)
+          monitor.emit('paused', {onlyTopCells})
+          done()
+        } else {
+          for (const cell of cellsToPause) {
+            const cellDelay = monitor.random(minPauseDelay, maxPauseDelay)
+            monitor.setTimeout(pauseCell, cellDelay, cell)
+          }
+          for (const trail of trailsToPause()) {
+            const trailDelay = monitor.random(minPauseDelay, maxPauseDelay)
+            monitor.setTimeout(pauseTrail, trailDelay, trail)
+          }
+          // needed this second one to make sure all cells will be paused
+          monitor.setTimeout(
+            () => {
+              monitor.pauseCells(onlyTopCells)
+              monitor.emit('paused', {onlyTopCells})
+              done()
+            },
+            maxPauseDelay
+          )
+        }
+      },
+      delay
+    )
+  }
+
+  // resolves once the rain has resumed
+  resume(options = {}) {
+    return this[_control]('resume', _resume, options)
+  }
+  [_resume](options = {}, done = noop) {
+    const {
+      delay = 0,
+      onlyTopCells = false
+    } = options
+    const monitor = this[_monitor]
+    const timers = monitor.timers
+
+    // a frozen clock runs no timers, so the delay goes by in frames of its
+    // source, at the speed of the scene
+    monitor.clock.cancelFrame(timers.thaw)
+    timers.thaw = null
+    if (monitor.clock.isFrozen) {
+      let waited = 0
+      let lastTime = monitor.clock.source.now()
+      const thaw = () => {
+        const time = monitor.clock.source.now()
+        waited += (time - lastTime) * monitor.clock.timeScale
+        lastTime = time
+        if (waited < delay) {
+          timers.thaw = monitor.clock.requestFrame(thaw)
+          return
+        }
+        timers.thaw = null
+        monitor.clock.freeze(false)
+        monitor.emit('resumed', {onlyTopCells: false, frozen: true})
+        done()
+      }
+      thaw()
+      return
+    }
+    monitor.clearTimeout(timers.resume)
+    const resumeFunction = () => {
+      monitor.startRain()
+      monitor.resumeCells(onlyTopCells)
+      monitor.emit('resumed', {onlyTopCells})
+      done()
+    }
+    if (delay > 0) {
+      timers.resume = monitor.setTimeout(resumeFunction, delay)
+    } else {
+      resumeFunction()
+    }
+  }
+
+  // resolves once the rain has stopped and, with clearScreen, the screen is clear
+  stop(options = {}) {
+    return this[_control]('stop', _stop, options)
+  }
+  [_stop](options = {}, done = noop) {
+    let {
+      delay = 0,
+      clearScreen = false
+    } = options
+    const monitor = this[_monitor]
+    const timers = monitor.timers
+    monitor.clock.cancelFrame(timers.thaw)
+    timers.thaw = null
+    monitor.clock.freeze(false)
+    monitor.clearTimeout(timers.stop)
+
+    const stopFunction = () => {
+      monitor.clearTimeout(timers.start)
+      monitor.clearInterval(timers.mainLoopInterval)
+      timers.mainLoopInterval = null
+      monitor.clearInterval(timers.mutation)
+      timers.mutation = null
+      monitor.clearTimeout(timers.glitch)
+      timers.glitch = null
+      for (const cell of monitor.cells) {
+        monitor.clearTimeout(cell.update.timer)
+        cell.update.timer = null
+      }
+      monitor.endTrails()
+      monitor.feedColumns.clear()
+      if (clearScreen && (monitor.topCells.length > 0)) {
+        // a column is clear when its clearing droplet ends, or when
+        // a new rain droplet takes over it
+        const columnsToClear = new Set(monitor.topCells.map(cell => cell.columnIndex))
+        const onDroplet = ({type, column, clearScreen: isClearing}) => {
+          const isClear = isClearing
+            ? (type === 'dropletEnd')
+            : (type === 'dropletStart')
+          if (isClear) {
+            columnsToClear.delete(column)
+          }
+          if (columnsToClear.size === 0) {
+            this.off('dropletStart', onDroplet)
+            this.off('dropletEnd', onDroplet)
+            monitor.emit('cleared')
+            done()
+          }
+        }
+        this.on('dropletStart', onDroplet)
+        this.on('dropletEnd', onDroplet)
+        for (const topCell of monitor.topCells) {
+          const dropletDelay = monitor.random(200, 2000)
+          monitor.setTimeout(monitor.createDroplet, dropletDelay, topCell,
+            {clearScreen: true})
+        }
+      }
+      monitor.emit('stopped', {clearScreen})
+      if (!clearScreen || (monitor.topCells.length === 0)) {
+        done()
+      }
+    }
+    if (delay > 0) {
+      timers.stop = monitor.setTimeout(stopFunction, delay)
+    } else {
+      stopFunction()
+    }
+  }
+
+  // resolves once the glitch is over; the returned promise also cancels
+  // it through cancel()
+  glitch(glitchFunction, options = {}) {
+    const name = (typeof glitchFunction === 'string') ? glitchFunction : null
+    if (name !== null) {
+      glitchFunction = MatrixMonitor.Glitch[name]
+    }
+    if (typeof glitchFunction !== 'function') {
+      const error = (name !== null)
+        ? new Error(`Unknown glitch: ${name}`)
+        : new Error(`Glitch must be a function or a name: ${glitchFunction}`)
+      return Object.assign(Promise.reject(error), {cancel: noop})
+    }
+    const glitch = {
+      name: name || glitchFunction.name,
+      function: glitchFunction,
+      options: {...options},
+      isCancelled: false,
+      cancel() {
+        this.isCancelled = true
+      }
+    }
+    return Object.assign(this[_defer](_glitch, glitch), {
+      cancel: () => glitch.cancel()
+    })
+  }
+  // glitch functions may return a function undoing what they have done,
+  // called when the glitch is over or cancelled; one throwing ends the glitch
+  // and rejects with its error
+  [_glitch](glitch, done = noop) {
+    const {
+      delay = 0,
+      duration = 3000
+    } = glitch.options
+    const monitor = this[_monitor]
+    const event = {name: glitch.name, duration}
+    let undo = noop
+    let isRunning = false
+    let isFinished = false
+    let startTimer = null
+    let endTimer = null
+
+    const finish = (isCancelled, error) => {
+      if (isFinished) {
+        return
+      }
+      isFinished = true
+      monitor.clearTimeout(startTimer)
+      monitor.clearTimeout(endTimer)
+      monitor.glitches.delete(glitch)
+      if (isRunning) {
+        undo()
+        monitor.emit('glitchEnd', {...event, cancelled: isCancelled})
+      }
+      done(error)
+    }
+    // no glitches for those who prefer reduced motion
+    if (glitch.isCancelled || (monitor.motion !== 'full')) {
+      finish(true)
+      return
+    }
+    glitch.cancel = () => finish(true)
+    monitor.glitches.add(glitch)
+    startTimer = monitor.setTimeout(
+      () => {
+        isRunning = true
+        monitor.emit('glitchStart', event)
+        try {
+          undo = glitch.function(monitor, {...glitch.options, duration}) || noop
+        } catch (error) {
+          // a failing glitch is over, leaving room for the next ones
+          finish(true, error)
+          return
+        }
+        endTimer = monitor.setTimeout(finish, duration, false)
+      },
+      delay
+    )
+  }
+
+  // makes a glitch function available by name, to glitch() and timelines
+  static registerGlitch(name, glitchFunction) {
+    if (typeof glitchFunction !== 'function') {
+      throw new Error(`Glitch must be a function: ${name}`)
+    }
+    if (name in MatrixMonitor.Glitch) {
+      throw new Error(`Glitch already registered: ${name}`)
+    }
+    MatrixMonitor.Glitch[name] = glitchFunction
+  }
+
+  // makes a host available by name, see MatrixMonitor.Host
+  static registerHost(name, createHost) {
+    if (typeof createHost !== 'function') {
+      throw new Error(`Host must be a function: ${name}`)
+    }
+    if (name in MatrixMonitor.Host) {
+      throw new Error(`Host already registered: ${name}`)
+    }
+    MatrixMonitor.Host[name] = createHost
+  }
+
+  // makes a renderer available by name, to the renderer option and as the
+  // default of hosts, see MatrixMonitor.Renderer
+  static registerRenderer(name, createRenderer) {
+    if (typeof createRenderer !== 'function') {
+      throw new Error(`Renderer must be a function: ${name}`)
+    }
+    if (name in MatrixMonitor.Renderer) {
+      throw new Error(`Renderer already registered: ${name}`)
+    }
+    MatrixMonitor.Renderer[name] = createRenderer
+  }
+
+  // places the image over the rain, as a region of cells that can share
+  // the screen with other regions:
+  // - anchor: 'top-left' (default), 'top', 'top-right', 'left', 'center',
+  //   'right', 'bottom-left', 'bottom' or 'bottom-right'
+  // - row, column: cell of the top-left corner, overriding the anchor
+  //   (negative values count from the end, strings like '50%' from the grid size)
+  // - offsetX, offsetY: shift from that position, in cells or percentages
+  // - zIndex: regions with higher values are drawn over the others
+  // - label: what screen readers tell while the image is on screen
+  // - layer: name or index (0 the farthest) of the depth layer to draw on,
+  //   instead of the nearest rain
+  // Also takes raster images (<img>, ImageBitmap, ImageData or canvas),
+  // converted to characters by MatrixMonitor.Image.fromRaster().
+  // The returned promise resolves once the image is gone, and controls
+  // the region through move(position), update(image, options) and remove()
+  draw(asciiImage, options = {}) {
+    const {layer = null, ...drawOptions} = options
+    if (layer !== null) {
+      return this[_monitor].findLayer(layer).monitor.draw(asciiImage, drawOptions)
+    }
+    const region = this[_region](asciiImage, options)
+    const promise = new Promise((resolve, reject) => {
+      region.done = resolve
+      whenLoaded(asciiImage, () => this[_defer](_draw, region).catch(reject), reject)
+    })
+    return this[_controlRegion](promise, region)
+  }
+  [_region](image, options) {
+    return {
+      image,
+      options: {...options},
+      table: null,
+      top: 0,
+      left: 0,
+      width: 0,
+      height: 0,
+      isVisible: false,
+      isRemoved: false,
+      render: null, // gives the image again, for widgets
+      timers: {
+        show: null,
+        hide: null,
+        refresh: null
+      },
+      done: noop
+    }
+  }
+  [_controlRegion](promise, region) {
+    const monitor = this[_monitor]
+    return Object.assign(promise, {
+      move(position = {}) {
+        Object.assign(region.options, position)
+        if (region.isVisible) {
+          monitor.refreshRegions([region], true)
+        }
+        return this
+      },
+      update(image, imageOptions = {}) {
+        whenLoaded(image, () => {
+          region.image = image
+          Object.assign(region.options, imageOptions)
+          if (region.isVisible) {
+            monitor.refreshRegions([region], true)
+            monitor.refreshLabel()
+          }
+        }, error => console.error(error))
+        return this
+      },
+      remove() {
+        region.isRemoved = true
+        monitor.clearTimeout(region.timers.show)
+        monitor.clearTimeout(region.timers.hide)
+        if (region.isVisible) {
+          monitor.hideRegion(region)
+        } else {
+          region.done()
+        }
+        return this
+      }
+    })
+  }
+  // calls back once the region waits for its delay, region.done() being
+  // called once it's gone
+  [_draw](region, done = noop) {
+    if (region.isRemoved) {
+      done()
+      return
+    }
+    const {
+      delay    = 1000,
+      duration = 30000 // null keeps the image until it is removed
+    } = region.options
+    const monitor = this[_monitor]
+    // fails early on invalid images
+    region.table = monitor.createRegionTable(region.image, region.options)
+
+    region.timers.show = monitor.setTimeout(
+      () => {
+        monitor.showRegion(region)
+        if (region.render) {
+          const {interval = 1000} = region.options
+          region.timers.refresh = monitor.setInterval(
+            () => monitor.refreshWidget(region), interval)
+        }
+        if (typeof duration === 'number') {
+          region.timers.hide = monitor.setTimeout(() => monitor.hideRegion(region), duration)
+        }
+      },
+      delay
+    )
+    done()
+  }
+
+  // keeps a value on screen, pinned like a drawn image (draw() options, with
+  // no duration by default) and rendered again from provider() every interval,
+  // changing only the characters that differ. Font renders it with FIGlet.
+  // The returned promise resolves once the widget is removed, and controls
+  // it through move(position), update(provider, options) and remove()
+  widget(provider, options = {}) {
+    const {
+      font = null,
+      duration = null
+    } = options
+    if (typeof provider !== 'function') {
+      throw new Error('Widget provider must be a function returning a string')
+    }
+    const monitor = this[_monitor]
+    const region = this[_region]('', {...options, duration})
+    let parsedFont = null
+    region.render = () => {
+      const text = String(provider())
+      return parsedFont ? MatrixMonitor.Font.render(text, parsedFont) : text
+    }
+    const promise = new Promise((resolve, reject) => {
+      region.done = resolve
+      Promise.resolve(font && MatrixMonitor.Font.load(font))
+        .then(loadedFont => {
+          parsedFont = loadedFont
+          region.image = region.render()
+          return this[_defer](_draw, region)
+        })
+        .catch(reject)
+    })
+    return Object.assign(this[_controlRegion](promise, region), {
+      update(newProvider, widgetOptions = {}) {
+        provider = newProvider
+        Object.assign(region.options, widgetOptions)
+        if (region.isVisible) {
+          region.image = region.render()
+          monitor.refreshRegions([region], true)
+        }
+        return this
+      }
+    })
+  }
+
+  // types the text at the given cell, one character at a time, behind a
+  // blinking cursor; negative rows and columns count from the end of the grid.
+  // Resolves once the message is gone, or once typed when duration is null
+  write(text, options = {}) {
+    return this[_defer](_write, text, options)
+  }
+  [_write](text, options = {}, done = noop) {
+    let {
+      delay               = 0,
+      duration            = 5000, // null keeps the message on screen
+      row                 = 1,
+      column              = 1,
+      typingDelay         = 120,
+      typingJitter        = 80,
+      cursor              = '█',
+      cursorBlinkInterval = 500,
+      label               = text // what screen readers tell, null for nothing
+    } = options
+    const monitor = this[_monitor]
+    const message = {text, duration, label}
+
+    const getCell = (rowIndex, columnIndex) => {
+      const gridColumn = monitor.columns[columnIndex]
+      return gridColumn && gridColumn.cells[rowIndex]
+    }
+    if (row < 0) {
+      row += monitor.rowCount
+    }
+    if (column < 0) {
+      column += monitor.columns.length
+    }
+
+    // each typed character paired with its cell, skipping what falls off the grid
+    const typing = []
+    const lines = String(text).split(/\n/g).map(splitGraphemes)
+    lines.forEach((chars, i) => {
+      chars.forEach((char, j) => {
+        const cell = getCell(row + i, column + j)
+        if (cell) {
+          typing.push({cell, char})
+        }
+      })
+    })
+    const lastLine = lines.length - 1
+    const cursorEnd = getCell(row + lastLine, column + lines[lastLine].length)
+    const heldCells = typing.map(typed => typed.cell)
+    if (cursorEnd) {
+      heldCells.push(cursorEnd)
+    }
+
+    let cursorCell = null
+    let isCursorVisible = false
+    let cursorTimer = null
+    const paintCursor = () => {
+      if (!cursorCell || !cursor) {
+        return
+      }
+      monitor.paint(cursorCell, {
+        char: cursor,
+        color: monitor.options.onAppear.fontColor || monitor.options.fontColor,
+        opacity: isCursorVisible ? 1 : 0
+      })
+    }
+    // the cursor only leaves cells that were just typed over
+    const moveCursor = (cell) => {
+      cursorCell = cell
+      isCursorVisible = true
+      paintCursor()
+    }
+
+    const hide = () => {
+      monitor.clearInterval(cursorTimer)
+      for (const cell of heldCells) {
+        monitor.updateCell(cell, '', message)
+        cell.owner = null
+      }
+      monitor.messages.delete(message)
+      monitor.refreshLabel()
+      monitor.emit('messageHidden', message)
+      done()
+    }
+
+    const type = (index) => {
+      if (index < typing.length) {
+        const {cell, char} = typing[index]
+        monitor.updateCell(cell, char, message)
+        moveCursor(typing[index + 1] ? typing[index + 1].cell : cursorEnd)
+        const jitter = monitor.random(-typingJitter, typingJitter + 1)
+        monitor.setTimeout(type, Math.max(0, typingDelay + jitter), index + 1)
+        return
+      }
+      monitor.emit('messageShown', message)
+      if (typeof duration === 'number') {
+        monitor.setTimeout(hide, duration)
+      } else {
+        done()
+      }
+    }
+
+    monitor.setTimeout(
+      () => {
+        for (const cell of heldCells) {
+          cell.owner = message
+        }
+        monitor.messages.add(message)
+        monitor.refreshLabel()
+        cursorTimer = monitor.setInterval(
+          () => {
+            isCursorVisible = !isCursorVisible
+            paintCursor()
+          },
+          cursorBlinkInterval
+        )
+        moveCursor(typing.length ? typing[0].cell : cursorEnd)
+        monitor.setTimeout(type, typingDelay, 0)
+      },
+      delay
+    )
+  }
+
+  // renders the text with a FIGlet font (its .flf source, the URL of
+  // a .flf file or a font already parsed) and draws it like any other image,
+  // labelled with the text itself for screen readers
+  drawText(text, options = {}) {
+    const {font = MatrixMonitor.Font.BANNER, label = text, ...drawOptions} = options
+    if (font === null) {
+      return Promise.reject(new Error('Missing banner font: import matrix-monitor-fonts.js or give a font'))
+    }
+    return MatrixMonitor.Font.load(font)
+      .then(parsedFont => this.draw(
+        MatrixMonitor.Font.render(text, parsedFont), {...drawOptions, label}))
+  }
+
+  // queues strings (log lines, tickers, statuses...) to rain down the free
+  // columns, one droplet each; a full queue drops items as feedOverflow says
+  feed(items) {
+    const monitor = this[_monitor]
+    const {feedQueueLimit, feedOverflow} = this[_options]
+    const queue = monitor.feedQueue
+    for (const value of [].concat(items)) {
+      const item = String(value).replace(/\s+/g, ' ').trim()
+      if (!item) {
+        continue
+      }
+      if (queue.length >= feedQueueLimit) {
+        if (feedOverflow === 'error') {
+          throw new Error(`Feed queue is full (${feedQueueLimit} items)`)
+        }
+        if (feedOverflow === 'drop-newest') {
+          monitor.emit('feedOverflow', {item})
+          continue
+        }
+        monitor.emit('feedOverflow', {item: queue.shift()})
+      }
+      queue.push(item)
+    }
+    monitor.dispatchFeed()
+    return this
+  }
+
+  // feeds the messages of an EventSource or a WebSocket (or of their URL,
+  // ws:// and wss:// for WebSockets), or the values of an async iterable;
+  // map turns each message or value into the items to feed, null for none.
+  // Items it fails to feed (as with feedOverflow 'error') and sources failing
+  // are told by an 'error' event, or on the console without listeners.
+  // The returned object stops it through close()
+  feedFrom(source, options = {}) {
+    const {
+      map = data => data,
+      event = 'message'
+    } = options
+    const monitor = this[_monitor]
+    const fail = (error) => {
+      const handlers = monitor.listeners.get('error')
+      if (handlers && (handlers.size > 0)) {
+        monitor.emit('error', {error, source})
+      } else {
+        console.error(error)
+      }
+    }
+    const feedData = (data) => {
+      try {
+        const items = map(data)
+        if ((items !== null) && (items !== undefined)) {
+          this.feed(items)
+        }
+      } catch (error) {
+        fail(error)
+      }
+    }
+    const isOwned = (typeof source === 'string')
+    if (isOwned) {
+      source = /^wss?:/i.test(source) ? new WebSocket(source) : new EventSource(source)
+    }
+
+    let stop = noop
+    if (source && (typeof source[Symbol.asyncIterator] === 'function')) {
+      const iterator = source[Symbol.asyncIterator]()
+      let isClosed = false
+      const pull = async () => {
+        while (!isClosed) {
+          const {value, done} = await iterator.next()
+          if (done || isClosed) {
+            break
+          }
+          feedData(value)
+        }
+      }
+      pull().catch(fail)
+      stop = () => {
+        isClosed = true
+        if (typeof iterator.return === 'function') {
+          iterator.return()
+        }
+      }
+    } else if (source && (typeof source.addEventListener === 'function')) {
+      const listener = (message) => feedData(message.data)
+      source.addEventListener(event, listener)
+      stop = () => {
+        source.removeEventListener(event, listener)
+        if (isOwned) {
+          source.close()
+        }
+      }
+    } else {
+      throw new Error('Feed source must be an EventSource, a WebSocket, an async iterable or a URL')
+    }
+
+    const feed = {
+      close() {
+        if (monitor.feeds.delete(feed)) {
+          stop()
+        }
+      }
+    }
+    monitor.feeds.add(feed)
+    return feed
+  }
+
+  // the characters on screen, as plain JSON: the rows of the grid with the
+  // char, color, opacity and backgroundColor of each cell, plus the options
+  // needed to draw it again (see MatrixMonitor.Snapshot for exporters)
+  snapshot() {
+    const monitor = this[_monitor]
+    const {backgroundColor, fontColor, fontSize, fontFamily, fontWeight} = this[_options]
+    const rows = []
+    for (let rowIndex = 0; rowIndex < monitor.rowCount; rowIndex++) {
+      rows.push(monitor.columns.map(column => {
+        const {char, color, opacity, backgroundColor, mirrored} = column.cells[rowIndex].painted
+        return {char, color: color || fontColor, opacity, backgroundColor, mirrored}
+      }))
+    }
+    return {
+      version: 1,
+      time: Date.now(),
+      columns: monitor.columns.length,
+      rows,
+      layout: {...monitor.layout},
+      backgroundColor,
+      fontColor,
+      fontSize,
+      fontFamily,
+      fontWeight
+    }
+  }
+
+  // repaints a snapshot over the grid, as far as both overlap; the rain goes
+  // on over it unless paused or stopped
+  restore(snapshot) {
+    if (!snapshot || !Array.isArray(snapshot.rows)) {
+      throw new Error('Invalid snapshot: missing rows')
+    }
+    return this[_defer](_restore, snapshot)
+  }
+  [_restore](snapshot, done = noop) {
+    const monitor = this[_monitor]
+    snapshot.rows.forEach((row, rowIndex) => row.forEach((state, columnIndex) => {
+      const column = monitor.columns[columnIndex]
+      const cell = column && column.cells[rowIndex]
+      if (!cell || cell.owner) {
+        return
+      }
+      const {
+        char = '',
+        color = null,
+        opacity = 1,
+        backgroundColor = null,
+        mirrored = false
+      } = state
+      monitor.paint(cell, {
+        char,
+        mirrored,
+        color: color || this[_options].fontColor,
+        opacity,
+        backgroundColor: backgroundColor || 'transparent',
+        glow: null,
+        transitionDuration: 0
+      })
+    }))
+    done()
+  }
+
+  // records what is shown on screen in the asciicast v2 format, frames of
+  // changed cells written as terminal output (transitions show at their end):
+  // - title: title of the recording, for the players showing it
+  // - frameRate: frames per second at most
+  // - idleTimeLimit: longest pause kept by the players, in seconds
+  // The returned recording gives the cast through stop() or toCast() and the
+  // events so far through events.
+  record(options = {}) {
+    const {
+      title = null,
+      frameRate = 30,
+      idleTimeLimit = null
+    } = options
+    const monitor = this[_monitor]
+    if (!monitor.isInitialized) {
+      throw new Error('MatrixMonitor is not initialized yet')
+    }
+    const {backgroundColor, fontColor} = this[_options]
+    const background = parseColor(backgroundColor) || [0, 0, 0, 1]
+    const backgroundCode = `\x1b[48;2;${background.slice(0, 3).join(';')}m`
+    const startTime = monitor.clock.source.now()
+    // the row overflowing the bottom is left out, as it isn't on screen, and
+    // cells take two columns with wide glyphs, as on the terminal host
+    const rowCount = Math.max(1, monitor.rowCount - 1)
+    const cellColumns = monitor.getCharset().isWide ? 2 : 1
+    const isShown = (cell) => cell.rowIndex < rowCount
+    const header = {
+      version: 2,
+      width: monitor.columns.length * cellColumns,
+      height: rowCount,
+      timestamp: Math.floor(Date.now() / 1000)
+    }
+    if (title !== null) {
+      header.title = title
+    }
+    if (idleTimeLimit !== null) {
+      header.idle_time_limit = idleTimeLimit
+    }
+    const events = []
+    const shown = new Map()
+    const changedCells = new Set()
+    let flushTimer = null
+
+    const write = (data) => {
+      const time = Math.round(monitor.clock.source.now() - startTime) / 1000
+      events.push([time, 'o', data])
+    }
+    const writeCell = (cell) => `\x1b[${cell.rowIndex + 1};${(cell.columnIndex * cellColumns) + 1}H`
+      + toANSICell(shown.get(cell), background, fontColor, cellColumns)
+    const flush = () => {
+      flushTimer = null
+      if (changedCells.size > 0) {
+        write([...changedCells].map(writeCell).join(''))
+        changedCells.clear()
+      }
+    }
+    const recording = {
+      events,
+      isRecording: true,
+      capture(cell, changes) {
+        if (!isShown(cell)) {
+          return
+        }
+        const state = shown.get(cell) || {...cell.painted}
+        for (const property of ['char', 'color', 'opacity', 'backgroundColor']) {
+          if (changes[property] !== undefined) {
+            state[property] = changes[property]
+          }
+        }
+        shown.set(cell, state)
+        changedCells.add(cell)
+        if (flushTimer === null) {
+          flushTimer = monitor.setTimeout(flush, 1000 / frameRate)
+        }
+      },
+      stop() {
+        if (recording.isRecording) {
+          recording.isRecording = false
+          monitor.clearTimeout(flushTimer)
+          flush()
+          write('\x1b[0m\x1b[?25h')
+          monitor.recordings.delete(recording)
+        }
+        return recording.toCast()
+      },
+      toCast() {
+        return [header, ...events].map(line => JSON.stringify(line)).join('\n') + '\n'
+      }
+    }
+    // starts from the whole screen as it is
+    for (const cell of monitor.cells) {
+      shown.set(cell, {...cell.painted, opacity: cell.isParted ? 0 : cell.painted.opacity})
+    }
+    write('\x1b[?25l' + backgroundCode + '\x1b[2J'
+      + monitor.cells.filter(cell => isShown(cell) && cell.painted.char).map(writeCell).join(''))
+    monitor.recordings.add(recording)
+    return recording
+  }
+
+  // plays a recording back onto the grid, holding the rain meanwhile; takes
+  // an asciicast v2 file (as a string) or its events, as given by record():
+  // - speed: playback rate, 2 playing twice as fast
+  // - idleTimeLimit: longest pause, in seconds, overriding the recording one
+  // The returned promise resolves once it's over, and cancels it through cancel().
+  replay(castOrEvents, options = {}) {
+    let lines = castOrEvents
+    if (typeof castOrEvents === 'string') {
+      lines = castOrEvents.split('\n')
+        .filter(line => line.trim() !== '')
+        .map(line => JSON.parse(line))
+    }
+    if (!Array.isArray(lines)) {
+      throw new Error('Invalid recording: expected an asciicast or its events')
+    }
+    const header = isPlainObject(lines[0]) ? lines[0] : {}
+    const replay = {
+      header,
+      events: lines.filter(line => Array.isArray(line) && (line[1] === 'o')),
+      options: {...options},
+      isCancelled: false,
+      cancel() {
+        this.isCancelled = true
+      }
+    }
+    return Object.assign(this[_defer](_replay, replay), {
+      cancel: () => replay.cancel()
+    })
+  }
+  [_replay](replay, done = noop) {
+    const {
+      speed = 1,
+      idleTimeLimit = replay.header.idle_time_limit || Infinity
+    } = replay.options
+    const monitor = this[_monitor]
+    const {fontColor} = this[_options]
+    const replayedCells = new Set()
+    // cells take two columns of the recording with wide glyphs, as in
+    // record(), the second one only padding them
+    const cellColumns = monitor.getCharset().isWide ? 2 : 1
+    const read = createANSIReader(
+      (row, column, char, {color, backgroundColor}) => {
+        const gridColumn = monitor.columns[Math.floor(column / cellColumns)]
+        const cell = gridColumn && gridColumn.cells[row]
+        if (!cell || cell.owner || (column % cellColumns !== 0)) {
+          return
+        }
+        replayedCells.add(cell)
+        monitor.render(cell, {
+          char: (char === ' ') ? '' : char,
+          color: color || fontColor,
+          opacity: 1,
+          backgroundColor: backgroundColor || 'transparent',
+          glow: null,
+          transitionDuration: 0
+        })
+      },
+      () => {
+        for (const cell of monitor.cells) {
+          if (!cell.owner) {
+            replayedCells.add(cell)
+            monitor.render(cell, {char: '', glow: null, transitionDuration: 0})
+          }
+        }
+      }
+    )
+    // the pauses longer than the limit are cut to it
+    let time = 0
+    let previousTime = 0
+    const frames = replay.events.map(([eventTime, , data]) => {
+      time += Math.min(Math.max(0, eventTime - previousTime), idleTimeLimit)
+      previousTime = eventTime
+      return {time: (time * 1000) / speed, data}
+    })
+    let release = noop
+    let timer = null
+    let isFinished = false
+    const finish = (isCancelled, error) => {
+      if (isFinished) {
+        return
+      }
+      isFinished = true
+      monitor.clearTimeout(timer)
+      monitor.replays.delete(replay)
+      replayedCells.forEach(cell => monitor.restoreCell(cell))
+      release()
+      monitor.emit('replayEnd', {cancelled: isCancelled})
+      done()
+    }
+    if (replay.isCancelled) {
+      done()
+      return
+    }
+    replay.cancel = () => finish(true)
+    monitor.replays.add(replay)
+    release = monitor.holdRain()
+    monitor.emit('replayStart', {duration: frames.length ? frames[frames.length - 1].time : 0})
+    const startTime = monitor.now()
+    let position = 0
+    const play = () => {
+      const elapsed = monitor.now() - startTime
+      while ((position < frames.length) && (frames[position].time <= elapsed)) {
+        read(frames[position++].data)
+      }
+      if (position < frames.length) {
+        timer = monitor.setTimeout(play, frames[position].time - elapsed)
+      } else {
+        finish(false)
+      }
+    }
+    play()
+  }
+
+  // runs the steps in order, waiting for each one to finish, e.g.:
+  // [{start: {delay: 0}}, {name: 'intro', wait: 2000},
+  //  {draw: MatrixMonitor.Image.SKULL, delay: 0, duration: 5000},
+  //  {glitch: 'BLINK_SCREEN', duration: 2000}, {goto: 'intro', times: 2},
+  //  {loop: 3, steps: [...]}, {stop: {clearScreen: true}}]
+  // steps flagged with "background: true" don't hold the timeline back;
+  // the returned promise resolves to 'finished' or 'cancelled'
+  play(script, options = {}) {
+    const monitor = this[_monitor]
+    const {loop = false} = options
+    const {program, labels} = compileTimeline(
+      loop ? [{loop, steps: script}] : script)
+    for (const instruction of program) {
+      if ((instruction.type === 'goto') && !labels.has(instruction.label)) {
+        throw new Error(`Unknown timeline step name: ${instruction.label}`)
+      }
+    }
+
+    const counters = new Map()
+    let position = 0
+    let isCancelled = false
+    let waitTimer = null
+    let interruptStep = noop
+
+    const interrupt = () => {
+      monitor.clearTimeout(waitTimer)
+      interruptStep()
+    }
+
+    const runStep = (step) => {
+      if ('wait' in step) {
+        return new Promise(resolve => {
+          waitTimer = monitor.setTimeout(resolve, step.wait)
+        })
+      }
+      if ('call' in step) {
+        return Promise.resolve(step.call(this))
+      }
+      const action = timelineActions.find(action => action in step)
+      const {[action]: value, name, background, ...stepOptions} = step
+      if ((action === 'draw') || (action === 'glitch')) {
+        return this[action](value, stepOptions)
+      }
+      return this[action](
+        {...stepOptions, ...((typeof value === 'object') ? value : {})})
+    }
+
+    const run = async () => {
+      while (!isCancelled && (position < program.length)) {
+        const current = position++
+        const instruction = program[current]
+        switch (instruction.type) {
+          case 'loopStart':
+            counters.set(current, instruction.times)
+            break
+          case 'loopEnd': {
+            const remaining = counters.get(instruction.loopStart) - 1
+            counters.set(instruction.loopStart, remaining)
+            if (remaining > 0) {
+              position = instruction.loopStart + 1
+            }
+            break
+          }
+          case 'goto': {
+            const remaining = counters.has(current)
+              ? counters.get(current)
+              : instruction.times
+            if (remaining > 0) {
+              counters.set(current, remaining - 1)
+              position = labels.get(instruction.label)
+            }
+            break
+          }
+          case 'step': {
+            const promise = runStep(instruction.step)
+            if (!instruction.step.background) {
+              await new Promise((resolve, reject) => {
+                interruptStep = resolve
+                promise.then(resolve, reject)
+              })
+              interruptStep = noop
+            }
+            break
+          }
+        }
+      }
+      return isCancelled ? 'cancelled' : 'finished'
+    }
+
+    const timeline = Object.assign(run(), {
+      cancel() {
+        isCancelled = true
+        interrupt()
+      },
+      jump(name) {
+        if (!labels.has(name)) {
+          throw new Error(`Unknown timeline step name: ${name}`)
+        }
+        position = labels.get(name)
+        interrupt()
+      }
+    })
+    monitor.timelines.add(timeline)
+    timeline.then(() => monitor.timelines.delete(timeline), noop)
+    return timeline
+  }
+
+  // releases every timer, listener and generated node, and gives the container
+  // back as it was found; the instance cannot be used afterwards
+  destroy() {
+    const monitor = this[_monitor]
+    if (monitor.isDestroyed) {
+      return
+    }
+    monitor.isDestroyed = true
+    this[_deferred] = []
+    monitor.timelines.forEach(timeline => timeline.cancel())
+    monitor.timelines.clear()
+    monitor.hold.resume = false
+    monitor.glitches.forEach(glitch => glitch.cancel())
+    monitor.replays.forEach(replay => replay.cancel())
+    monitor.recordings.forEach(recording => recording.stop())
+    monitor.feeds.forEach(feed => feed.close())
+    monitor.feedQueue = []
+    monitor.clearTimers()
+    monitor.destroyLayers()
+    if (monitor.stopWaiting) {
+      monitor.stopWaiting()
+      monitor.stopWaiting = null
+    }
+    if (monitor.isInitialized) {
+      monitor.renderer.destroy()
+      monitor.host.detach()
+      monitor.emit('destroyed')
+    } else if (monitor.container) {
+      // attached before its initialization failed
+      monitor.host.detach()
+    }
+    if (typeof this[_container] !== 'string') {
+      usedContainers.delete(this[_container])
+    }
+    monitor.listeners.clear()
+    monitor.clock.destroy()
+    monitor.reset()
+  }
+
+  // sources of frames for the clock option, which drive every timer of the
+  // scene: now() gives the time in milliseconds, requestFrame(callback) calls
+  // back on the next frame with its time, cancelFrame(request) cancels that
+  static Clock = class MatrixMonitorClock {
+    static ANIMATION_FRAME = animationFrames
+
+    // frames given by hand, e.g. to step a scene in tests:
+    //   const clock = MatrixMonitor.Clock.MANUAL()
+    //   const monitor = new MatrixMonitor('#monitor', {clock})
+    //   clock.step(1000) // a second of rain, in frames of 1/60 s
+    static MANUAL = (frameDuration = 1000 / 60) => {
+      const callbacks = new Map()
+      let nextRequest = 1
+      let time = 0
+      return {
+        now: () => time,
+        requestFrame(callback) {
+          callbacks.set(nextRequest, callback)
+          return nextRequest++
+        },
+        cancelFrame(request) {
+          callbacks.delete(request)
+        },
+        // runs the frames in the given time, the last one shorter if needed
+        step(duration = frameDuration) {
+          let remaining = duration
+          do {
+            time += Math.min(frameDuration, remaining)
+            remaining -= frameDuration
+            const frame = [...callbacks.values()]
+            callbacks.clear()
+            frame.forEach(callback => callback(time))
+          } while (remaining > 0)
+        }
+      }
+    }
+  }
+
+  // the environments a monitor runs in, by name, picked by its container:
+  // DOM for elements of the page (from matrix-monitor-dom.js), TERMINAL for
+  // output streams (from matrix-monitor-terminal.js). Everything the rain
+  // needs from around the grid goes through them, so the core knows nothing
+  // of the DOM:
+  // - renderer, layout: default renderer, and cell layout when fixed
+  // - isReady(), whenReady(callback): whether the container can be used
+  //   now, and a wait for it returning a function that cancels it
+  // - find(target), attach(container), detach(): resolves, takes over and
+  //   gives back the container, detaching also stopping every watch
+  // - getSize(), getOrigin(): size, and position on the page, in pixels
+  // - setStyle(style), setAttributes(attributes), listen(type, listener):
+  //   styles, attributes (null removing them) and events of the container
+  // - watch({resize, motion, visibility}): calls back when the size, the
+  //   reduced motion preference or the visibility changes
+  // - createLayer({opacity, blur}), attachLayer(layer), detachLayer(layer):
+  //   a container for a depth layer, filling this one, and its place
+  //   behind the rain and the layers attached before it; hosts without them
+  //   take no layers option
+  static Host = class MatrixMonitorHost {}
+
+  // the renderers of the renderer option, by name: DOM and CANVAS in the page
+  // (from matrix-monitor-dom.js), TERMINAL in the terminal (from
+  // matrix-monitor-terminal.js); each one draws the cells as painted:
+  // - initialize(container), resize(), destroy(): sets up, fits and removes
+  //   what it draws with
+  // - addColumn(column), removeColumn(column), addCell(cell), removeCell(cell):
+  //   follows the grid as it is laid out
+  // - paint(cell, changes): shows the changes of a cell, with their transition
+  static Renderer = class MatrixMonitorRenderer {}
+
+  // sets of glyphs, selected by name with the charset option
+  static Charset = class MatrixMonitorCharset {
+    static MATRIX = MatrixMonitor.DEFAULT_OPTIONS.alphabet
+    static KATAKANA = codeRange(0xFF66, 0xFF9D) // half width, as in the films
+    static LATIN = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ'
+    static DIGITS = '0123456789'
+    static BINARY = '01'
+    static HEX = '0123456789ABCDEF'
+    static BRAILLE = codeRange(0x2801, 0x28FF) // all but the blank pattern
+    static RUNES = codeRange(0x16A0, 0x16EA)
+
+    // whether the glyph takes two columns of a terminal
+    static isWide(glyph) {
+      return isWideGlyph(glyph)
+    }
+  }
+
+  // planes of rain for the layers option, each one taking any option plus
+  // the opacity and the blur of the whole plane
+  static Layers = class MatrixMonitorLayers {
+    // far rain small, dim and slow behind the monitor's own
+    static PARALLAX = [
+      {
+        name: 'far',
+        opacity: 0.3,
+        blur: 1.5,
+        fontSize: 10,
+        cellWidth: 8,
+        cellHeight: 10,
+        horizontalSpacing: 4,
+        verticalSpacing: 3,
+        minCharProgression: 500,
+        maxCharProgression: 1600
+      },
+      {
+        name: 'middle',
+        opacity: 0.55,
+        blur: 0.6,
+        fontSize: 14,
+        cellWidth: 11,
+        cellHeight: 14,
+        horizontalSpacing: 6,
+        verticalSpacing: 4,
+        minCharProgression: 320,
+        maxCharProgression: 1100
+      }
+    ]
+  }
+
+  // color presets, selected with the theme option
+  static Theme = class MatrixMonitorTheme {
+    static GREEN = {
+      backgroundColor: '#000000',
+      fontColor: '#01A400',
+      palette: null,
+      onHead: {fontColor: '#E6FFE6', glow: '#91F490'},
+      onAppear: {fontColor: '#91F490'},
+      onFade: {fontColor: '#01A400'},
+      onDelete: {backgroundColor: '#001500'}
+    }
+    static RED_ALERT = {
+      backgroundColor: '#000000',
+      fontColor: '#B00000',
+      palette: null,
+      onHead: {fontColor: '#FFE6E2', glow: '#FF9A8A'},
+      onAppear: {fontColor: '#FF9A8A'},
+      onFade: {fontColor: '#B00000'},
+      onDelete: {backgroundColor: '#180000'}
+    }
+    static BLUE_PILL = {
+      backgroundColor: '#000008',
+      fontColor: '#0A5CC8',
+      palette: null,
+      onHead: {fontColor: '#E6F4FF', glow: '#9AD0FF'},
+      onAppear: {fontColor: '#9AD0FF'},
+      onFade: {fontColor: '#0A5CC8'},
+      onDelete: {backgroundColor: '#000A1C'}
+    }
+    static AMBER = {
+      backgroundColor: '#000000',
+      fontColor: '#C87800',
+      palette: null,
+      onHead: {fontColor: '#FFF6E2', glow: '#FFD890'},
+      onAppear: {fontColor: '#FFD890'},
+      onFade: {fontColor: '#C87800'},
+      onDelete: {backgroundColor: '#150C00'}
+    }
+    static RAINBOW = {
+      backgroundColor: '#000000',
+      fontColor: '#FFFFFF',
+      palette: 'RAINBOW',
+      onHead: {fontColor: '#FFFFFF', glow: '#FFFFFF'},
+      onAppear: {fontColor: '#FFFFFF'},
+      onFade: {fontColor: '#FFFFFF'},
+      onDelete: {backgroundColor: '#101010'}
+    }
+  }
+
+  // trail colors varying by column, row, droplet or droplet age (in ms up to
+  // the period), as HSL gradients or lists of colors
+  static Palette = class MatrixMonitorPalette {
+    static RAINBOW = {by: 'column', hue: [0, 300], saturation: 100, lightness: 50}
+    static MATRIX = {by: 'droplet', hue: [100, 140], saturation: 100, lightness: [25, 45]}
+    static EMBERS = {by: 'age', hue: [60, 0], saturation: 100, lightness: [55, 30], period: 4000}
+    static DEPTH = {by: 'row', hue: 120, saturation: 100, lightness: [45, 15]}
+    static TRAFFIC_LIGHTS = {by: 'droplet', colors: ['#D00000', '#D0A000', '#00B000']}
+  }
+
+  // options and startup actions carried by URLs, e.g. for screensaver links:
+  //   index.html?theme=amber&mode=trail&on-fade.opacity=0.3
+  //     &actions=draw:skull:10s,wait:5s,glitch:blink-screen,stop:clear
+  // Options go in the query or the hash (which wins), by their name or in
+  // kebab case, nested ones with a dot; lists and objects are written as JSON
+  static Config = class MatrixMonitorConfig {
+    // {options, actions} of the URL, the actions as steps for play()
+    static fromURL(url = globalThis.location.href) {
+      const address = new URL(String(url), 'http://localhost/')
+      const options = {}
+      let actions = []
+      const params = [
+        ...new URLSearchParams(address.search),
+        ...new URLSearchParams(address.hash.slice(1))
+      ]
+      for (const [key, value] of params) {
+        if (key === 'actions') {
+          actions = parseActions(value)
+          continue
+        }
+        const [name, property = null] = key
+          .replace(/-([a-z])/g, (match, char) => char.toUpperCase())
+          .split('.')
+        const fallback = MatrixMonitor.DEFAULT_OPTIONS[name]
+        // other parameters of the page are none of the monitor's business
+        if (!(name in MatrixMonitor.DEFAULT_OPTIONS) || unwritableOptions.includes(name)) {
+          continue
+        }
+        if ((property !== null) && isPlainObject(fallback)) {
+          options[name] = {...options[name], [property]: this.parseValue(name, value)}
+        } else {
+          options[name] = this.parseValue(name, value)
+        }
+      }
+      return {options, actions}
+    }
+
+    // the URL bringing these options back, with the actions (a list like
+    // the one of fromURL) when given; other parameters of the base are kept,
+    // its actions too unless others are given
+    static toURL(options, settings = {}) {
+      const {
+        base = globalThis.location.href,
+        actions = null
+      } = settings
+      const address = new URL(String(base), 'http://localhost/')
+      const params = new URLSearchParams(address.search)
+      // the hash goes away, its actions winning as fromURL reads them
+      const baseActions = new URLSearchParams(address.hash.slice(1)).get('actions')
+        ?? params.get('actions')
+      for (const key of [...params.keys()]) {
+        const name = key.replace(/-([a-z])/g, (match, char) => char.toUpperCase()).split('.')[0]
+        if ((name in MatrixMonitor.DEFAULT_OPTIONS) || (key === 'actions')) {
+          params.delete(key)
+        }
+      }
+      const write = (value) => ((value !== null) && (typeof value === 'object'))
+        ? JSON.stringify(value)
+        : String(value)
+      for (const [name, value] of Object.entries(changedOptions(options))) {
+        if (isPlainObject(MatrixMonitor.DEFAULT_OPTIONS[name]) && isPlainObject(value)) {
+          for (const [property, nestedValue] of Object.entries(value)) {
+            params.set(`${name}.${property}`, write(nestedValue))
+          }
+        } else {
+          params.set(name, write(value))
+        }
+      }
+      if (actions !== null) {
+        params.set('actions', [].concat(actions).join(','))
+      } else if (baseActions !== null) {
+        params.set('actions', baseActions)
+      }
+      address.search = params.toString()
+      address.hash = ''
+      return address.href
+    }
+
+    // throws on the options as the constructor would, without creating
+    // a monitor, e.g. to check them before using them
+    static validate(options) {
+      createOptions(options)
+    }
+
+    // the options differing from the defaults, as JSON for the constructor
+    static toJSON(options) {
+      return JSON.stringify(changedOptions(options), null, 2)
+    }
+
+    // milliseconds of a duration written as text, like 500ms, 30s or 2m;
+    // plain numbers are milliseconds
+    static parseDuration(value) {
+      return parseDuration(value)
+    }
+
+    // an option written as text: JSON for lists and objects, and booleans,
+    // numbers and null as such, unless the option is always text
+    static parseValue(option, value) {
+      if (textOptions.includes(option)) {
+        return value
+      }
+      if (/^\s*[{[]/.test(value)) {
+        return JSON.parse(value)
+      }
+      if (value === 'null') {
+        return null
+      }
+      if ((value === 'true') || (value === 'false')) {
+        return value === 'true'
+      }
+      if ((value.trim() !== '') && !isNaN(value)) {
+        return Number(value)
+      }
+      return value
+    }
+  }
+
+  // exporters of snapshot() results
+  static Snapshot = class MatrixMonitorSnapshot {
+    static toText(snapshot) {
+      return snapshot.rows
+        .map(row => row
+          .map(({char, opacity}) => (char && (opacity >= minVisibleOpacity)) ? char : ' ')
+          .join('')
+          .trimEnd())
+        .join('\n')
+    }
+
+    // a string for terminals with 24-bit colors, the opacity blending each
+    // character into the background; wide glyphs make every cell two
+    // columns wide, so that the columns line up
+    static toANSI(snapshot) {
+      const background = parseColor(snapshot.backgroundColor) || [0, 0, 0, 1]
+      const backgroundCode = `\x1b[48;2;${background.slice(0, 3).join(';')}m`
+      const columns = snapshot.rows.some(row => row.some(({char}) => isWideGlyph(char))) ? 2 : 1
+      return snapshot.rows
+        .map(row => backgroundCode
+          + row.map(state => toANSICell(state, background, snapshot.fontColor, columns)).join('')
+          + '\x1b[0m')
+        .join('\n')
+    }
+
+    // draws the snapshot as the canvas renderer would, scaled by the given factor
+    static toPNG(snapshot, options = {}) {
+      const {
+        scale = 1
+      } = options
+      const {paddingTop, paddingLeft, cellWidth, cellHeight,
+        horizontalSpacing, verticalSpacing} = snapshot.layout
+      const {fontSize, fontFamily, fontWeight} = snapshot
+      const columnStep = cellWidth + horizontalSpacing
+      const rowStep = cellHeight + verticalSpacing
+      const canvas = document.createElement('canvas')
+      canvas.width = Math.ceil(((paddingLeft * 2) + (snapshot.columns * columnStep)) * scale)
+      canvas.height = Math.ceil(((paddingTop * 2) + (snapshot.rows.length * rowStep)) * scale)
+      const context = canvas.getContext('2d')
+      context.scale(scale, scale)
+      context.fillStyle = snapshot.backgroundColor
+      context.fillRect(0, 0, canvas.width / scale, canvas.height / scale)
+      context.font = [
+        fontWeight,
+        fontSize + (typeof fontSize === 'number' ? 'px' : ''),
+        fontFamily
+      ].join(' ')
+      context.textAlign = 'center'
+      context.textBaseline = 'middle'
+      snapshot.rows.forEach((row, rowIndex) => row.forEach((state, columnIndex) => {
+        const {char, color, opacity, backgroundColor, mirrored = false} = state
+        const x = paddingLeft + (columnIndex * columnStep)
+        const y = paddingTop + (rowIndex * rowStep)
+        context.globalAlpha = Math.max(0, Math.min(1, opacity))
+        if (backgroundColor) {
+          context.fillStyle = backgroundColor
+          context.fillRect(x, y, cellWidth, cellHeight)
+        }
+        if (char) {
+          const centerX = x + (cellWidth / 2)
+          context.save()
+          if (mirrored) {
+            context.translate(centerX * 2, 0)
+            context.scale(-1, 1)
+          }
+          context.fillStyle = color || snapshot.fontColor
+          context.fillText(char, centerX, y + (cellHeight / 2))
+          context.restore()
+        }
+      }))
+      return canvas.toDataURL('image/png')
+    }
+  }
+
+  // providers for widget()
+  static Widget = class MatrixMonitorWidget {
+    // the current time, as HH:MM:SS (or HH:MM without seconds)
+    static CLOCK = (options = {}) => {
+      const {
+        seconds = true,
+        hour12 = false
+      } = options
+      return () => {
+        const now = new Date()
+        let hours = now.getHours()
+        if (hour12) {
+          hours = (hours % 12) || 12
+        }
+        const parts = [hours, now.getMinutes()]
+        if (seconds) {
+          parts.push(now.getSeconds())
+        }
+        return parts.map(part => String(part).padStart(2, '0')).join(':')
+      }
+    }
+
+    // the time left to a date (or a timestamp), as [DD:]HH:MM:SS, and the
+    // finished text once it's over
+    static COUNTDOWN = (target, options = {}) => {
+      const {
+        finished = '00:00:00'
+      } = options
+      const targetTime = new Date(target).getTime()
+      if (isNaN(targetTime)) {
+        throw new Error(`Invalid countdown target: ${target}`)
+      }
+      return () => {
+        const left = Math.ceil((targetTime - Date.now()) / 1000)
+        if (left <= 0) {
+          return finished
+        }
+        const days = Math.floor(left / 86400)
+        const parts = [
+          Math.floor(left / 3600) % 24,
+          Math.floor(left / 60) % 60,
+          left % 60
+        ]
+        if (days > 0) {
+          parts.unshift(days)
+        }
+        return parts.map(part => String(part).padStart(2, '0')).join(':')
+      }
+    }
+  }
+
+  // glitch functions take the monitor and the glitch options (with its
+  // duration) and return a function undoing their changes
+  static Glitch = class MatrixMonitorGlitch {
+    static BLINK_SCREEN = (monitor, options = {}) => {
+      const timers = createTimers(monitor.clock)
+      const release = monitor.holdRain()
+      const glitchFunction = () => {
+        for (const cell of monitor.cells) {
+          const cellDelay = ((cell.rowIndex) + cell.columnIndex * 1.6) * 15
+          timers.setTimeout(
+            () => {
+              monitor.render(cell, {opacity: 1, transitionDuration: 10})
+            },
+            cellDelay
+          )
+          timers.setTimeout(
+            () => {
+              monitor.render(cell, {
+                opacity: cell.painted.opacity,
+                transitionDuration: 30
+              })
+            },
+            cellDelay + 200
+          )
+        }
+      }
+      timers.setInterval(glitchFunction, 700)
+      return () => {
+        timers.clearTimers()
+        monitor.cells.forEach(cell => monitor.restoreCell(cell))
+        release(1000)
+      }
+    }
+
+    static STUCK_CHARACTER = (monitor, options = {}) => {
+      const release = monitor.holdRain()
+      const nextUpdated = []
+      for (const column of monitor.columns) {
+        for (const cell of column.cells) {
+          const nextCell = cell.nextCell
+          if (cell.update.isUpdated && nextCell && !nextCell.update.isUpdated) {
+            nextUpdated.push(nextCell)
+          }
+        }
+      }
+      const glitchFunction = () => {
+        for (const cell of nextUpdated) {
+          monitor.updateCell(cell, {char: monitor.getRandomChar(), mirrored: cell.isMirrored})
+        }
+      }
+      const glitchTimer = monitor.setInterval(glitchFunction, 100)
+      return () => {
+        monitor.clearInterval(glitchTimer)
+        release(200)
+      }
+    }
+
+    // a band of rows slides sideways, in a new place every few frames
+    static SCREEN_TEAR = (monitor, options = {}) => {
+      const {
+        maxOffset = 4,
+        interval = 80
+      } = options
+      let tornCells = []
+      const glitchFunction = () => {
+        tornCells.forEach(cell => monitor.restoreCell(cell))
+        tornCells = []
+        const rowCount = monitor.rowCount
+        const top = monitor.random(0, rowCount)
+        const height = monitor.random(1, Math.max(2, rowCount / 4))
+        const direction = (monitor.random.next() < 0.5) ? -1 : 1
+        const offset = monitor.random(1, maxOffset + 1) * direction
+        for (let row = top; row < Math.min(rowCount, top + height); row++) {
+          for (const column of monitor.columns) {
+            const source = monitor.columns[column.index - offset]
+            const cell = column.cells[row]
+            monitor.restoreCell(cell, source ? source.cells[row] : {char: ''})
+            tornCells.push(cell)
+          }
+        }
+      }
+      const glitchTimer = monitor.setInterval(glitchFunction, interval)
+      return () => {
+        monitor.clearInterval(glitchTimer)
+        tornCells.forEach(cell => monitor.restoreCell(cell))
+      }
+    }
+
+    // some columns slip up or down by a few rows
+    static COLUMN_SHIFT = (monitor, options = {}) => {
+      const {
+        share = 0.2,
+        maxOffset = 3,
+        interval = 120
+      } = options
+      let shiftedColumns = []
+      const restore = () => {
+        for (const column of shiftedColumns) {
+          column.cells.forEach(cell => monitor.restoreCell(cell))
+        }
+      }
+      const glitchFunction = () => {
+        restore()
+        const columns = [...monitor.columns]
+        const count = Math.max(1, Math.round(share * columns.length))
+        shiftedColumns = []
+        while ((shiftedColumns.length < count) && (columns.length > 0)) {
+          shiftedColumns.push(...columns.splice(monitor.random(0, columns.length), 1))
+        }
+        for (const column of shiftedColumns) {
+          const direction = (monitor.random.next() < 0.5) ? -1 : 1
+          const offset = monitor.random(1, maxOffset + 1) * direction
+          for (const cell of column.cells) {
+            const source = column.cells[cell.rowIndex - offset]
+            monitor.restoreCell(cell, source || {char: ''})
+          }
+        }
+      }
+      const glitchTimer = monitor.setInterval(glitchFunction, interval)
+      return () => {
+        monitor.clearInterval(glitchTimer)
+        restore()
+      }
+    }
+
+    // characters take the background color, over cells painted with theirs
+    static COLOR_INVERSION = (monitor, options = {}) => {
+      const {
+        interval = 200
+      } = options
+      const glitchFunction = () => {
+        const {backgroundColor, fontColor} = monitor.options
+        for (const cell of monitor.cells) {
+          monitor.render(cell, {
+            color: backgroundColor,
+            backgroundColor: cell.painted.color || fontColor,
+            transitionDuration: 0
+          })
+        }
+      }
+      glitchFunction()
+      const glitchTimer = monitor.setInterval(glitchFunction, interval)
+      return () => {
+        monitor.clearInterval(glitchTimer)
+        monitor.cells.forEach(cell => monitor.restoreCell(cell))
+      }
+    }
+
+    // dimmed scanlines rolling down a flickering screen, as in old CRTs
+    static SCANLINES = (monitor, options = {}) => {
+      const {
+        interval = 60,
+        lineOpacity = 0.35,
+        minFlicker = 0.6
+      } = options
+      let phase = 0
+      const glitchFunction = () => {
+        phase = (phase + 1) % 3
+        const flicker = minFlicker + ((1 - minFlicker) * monitor.random.next())
+        for (const cell of monitor.cells) {
+          const isLine = ((cell.rowIndex + phase) % 3) === 0
+          monitor.render(cell, {
+            opacity: cell.painted.opacity * flicker * (isLine ? lineOpacity : 1),
+            transitionDuration: 0
+          })
+        }
+      }
+      const glitchTimer = monitor.setInterval(glitchFunction, interval)
+      return () => {
+        monitor.clearInterval(glitchTimer)
+        monitor.cells.forEach(cell => monitor.restoreCell(cell))
+      }
+    }
+
+    // the last seconds of the rain happen again (up to 5 seconds)
+    static DEJA_VU = (monitor, options = {}) => {
+      const {
+        duration = 3000
+      } = options
+      const timers = createTimers(monitor.clock)
+      const release = monitor.holdRain()
+      const now = monitor.now()
+      const replayStart = now - Math.min(duration, historyWindow)
+      const changes = monitor.history.slice(monitor.historyStart)
+        .filter(change => change.time >= replayStart)
+
+      // rewinds each cell to the way it was before its first replayed change
+      const pastStates = new Map()
+      for (let i = changes.length - 1; i >= 0; i--) {
+        pastStates.set(changes[i].cell, changes[i].previous)
+      }
+      for (const [cell, state] of pastStates) {
+        if (!cell.isRemoved) {
+          monitor.restoreCell(cell, state)
+        }
+      }
+      for (const {time, cell, changes: cellChanges} of changes) {
+        timers.setTimeout(() => {
+          if (!cell.isRemoved) {
+            monitor.render(cell, cellChanges)
+          }
+        }, time - replayStart)
+      }
+      return () => {
+        timers.clearTimers()
+        for (const cell of pastStates.keys()) {
+          if (!cell.isRemoved) {
+            monitor.restoreCell(cell)
+          }
+        }
+        release()
+      }
+    }
+  }
+
+  // FIGlet fonts, as specified at http://www.jave.de/figlet/figfont.html
+  static Font = class MatrixMonitorFont {
+    static parse(source) {
+      const lines = String(source).split(/\r?\n/)
+      const header = lines[0].match(/^flf2a(.)\s+(.*)$/)
+      if (!header) {
+        throw new Error('Invalid FIGlet font: missing "flf2a" signature')
+      }
+      const hardblank = header[1]
+      const [
+        height,
+        baseline,
+        maxLength,
+        oldLayout,
+        commentLines,
+        printDirection = 0,
+        fullLayout = null
+      ] = header[2].split(/\s+/).map(Number)
+
+      // full layout bits: 1 to 32 are the smushing rules, 64 fits and 128 smushes
+      let layout = fullLayout
+      if ((layout === null) || isNaN(layout)) {
+        if (oldLayout < 0) {
+          layout = 0
+        } else if (oldLayout === 0) {
+          layout = 64
+        } else {
+          layout = 128 | (oldLayout & 63)
+        }
+      }
+
+      const chars = new Map()
+      let lineIndex = 1 + commentLines
+      const readChar = () => {
+        const rows = lines.slice(lineIndex, lineIndex + height)
+        if (rows.length < height) {
+          return null
+        }
+        lineIndex += height
+        return rows.map(line => {
+          const endmark = line[line.length - 1]
+          let end = line.length
+          while ((end > 0) && (line[end - 1] === endmark)) {
+            end--
+          }
+          return line.slice(0, end)
+        })
+      }
+      const requiredCodes = []
+      for (let code = 32; code <= 126; code++) {
+        requiredCodes.push(code)
+      }
+      requiredCodes.push(196, 214, 220, 228, 246, 252, 223)
+      for (const code of requiredCodes) {
+        const rows = readChar()
+        if (!rows) {
+          break
+        }
+        chars.set(code, rows)
+      }
+      // code tagged characters, such as "0x263A  SMILING FACE"
+      while (lineIndex < lines.length) {
+        const tag = lines[lineIndex++].trim().split(/\s+/)[0]
+        if (!tag) {
+          continue
+        }
+        let code = Number(tag)
+        if (/^-?0[0-7]+$/.test(tag)) {
+          code = parseInt(tag, 8)
+        }
+        const rows = readChar()
+        if (!rows || isNaN(code)) {
+          break
+        }
+        chars.set(code, rows)
+      }
+
+      return {hardblank, height, baseline, maxLength, layout, printDirection, chars}
+    }
+
+    static load(font) {
+      if (font && (typeof font === 'object')) {
+        return Promise.resolve(font)
+      }
+      if (typeof font !== 'string') {
+        return Promise.reject(new Error('FIGlet font must be a .flf source, URL or parsed font'))
+      }
+      if (!parsedFonts.has(font)) {
+        const parsing = font.startsWith('flf2a')
+          ? Promise.resolve(font)
+          : fetch(font).then(response => {
+            if (!response.ok) {
+              throw new Error(`Cannot load FIGlet font (url: ${font})`)
+            }
+            return response.text()
+          })
+        parsedFonts.set(font, parsing.then(source => MatrixMonitorFont.parse(source)))
+        // lets a failed download be tried again
+        parsedFonts.get(font).catch(() => parsedFonts.delete(font))
+      }
+      return parsedFonts.get(font)
+    }
+
+    // lays out the characters of each line the way the figlet program does,
+    // fitting or smushing them according to the layout of the font
+    static render(text, font) {
+      const {hardblank, height, layout, chars} = font
+      const isFitting = (layout & 64) !== 0
+      const isSmushing = (layout & 128) !== 0
+      const rules = layout & 63
+
+      const smush = (left, right, leftWidth, rightWidth) => {
+        if (left === ' ') {
+          return right
+        }
+        if (right === ' ') {
+          return left
+        }
+        if ((leftWidth < 2) || (rightWidth < 2) || !isSmushing) {
+          return null
+        }
+        if (rules === 0) {
+          // universal smushing: the later character wins, except over hardblanks
+          if (left === hardblank) {
+            return right
+          }
+          return (right === hardblank) ? left : right
+        }
+        if ((rules & 32) && (left === hardblank) && (right === hardblank)) {
+          return left
+        }
+        if ((left === hardblank) || (right === hardblank)) {
+          return null
+        }
+        if ((rules & 1) && (left === right)) {
+          return left
+        }
+        if (rules & 2) {
+          if ((left === '_') && '|/\\[]{}()<>'.includes(right)) {
+            return right
+          }
+          if ((right === '_') && '|/\\[]{}()<>'.includes(left)) {
+            return left
+          }
+        }
+        if (rules & 4) {
+          const classes = ['|', '/\\', '[]', '{}', '()', '<>']
+          const leftClass = classes.findIndex(chars => chars.includes(left))
+          const rightClass = classes.findIndex(chars => chars.includes(right))
+          if ((leftClass >= 0) && (rightClass >= 0) && (leftClass !== rightClass)) {
+            return (leftClass > rightClass) ? left : right
+          }
+        }
+        if ((rules & 8) && ['[]', '][', '{}', '}{', '()', ')('].includes(left + right)) {
+          return '|'
+        }
+        if (rules & 16) {
+          const bigX = {'/\\': '|', '\\/': 'Y', '><': 'X'}[left + right]
+          if (bigX) {
+            return bigX
+          }
+        }
+        return null
+      }
+
+      const renderLine = (line) => {
+        let output = new Array(height).fill('')
+        let previousWidth = 0
+        for (const char of line) {
+          const glyph = chars.get(char.codePointAt(0))
+          if (!glyph) {
+            continue
+          }
+          const width = Math.max(...glyph.map(row => row.length))
+          const rows = glyph.map(row => [...row.padEnd(width)])
+          const outputWidth = output[0].length
+
+          // how far the character can move over what is already laid out
+          let overlap = 0
+          if ((isFitting || isSmushing) && (outputWidth > 0)) {
+            overlap = width
+            for (let i = 0; i < height; i++) {
+              const outputRow = output[i]
+              let lineEnd = Math.max(0, outputRow.length - 1)
+              while ((lineEnd > 0) && (outputRow[lineEnd] === ' ')) {
+                lineEnd--
+              }
+              let charStart = 0
+              while ((charStart < width) && (rows[i][charStart] === ' ')) {
+                charStart++
+              }
+              const left = outputRow[lineEnd]
+              const right = rows[i][charStart]
+              let amount = charStart + outputWidth - 1 - lineEnd
+              if ((left === undefined) || (left === ' ')) {
+                amount++
+              } else if ((right !== undefined)
+                && (smush(left, right, previousWidth, width) !== null)) {
+                amount++
+              }
+              overlap = Math.min(overlap, amount)
+            }
+          }
+
+          output = output.map((outputRow, i) => {
+            const merged = [...outputRow]
+            for (let k = 0; k < overlap; k++) {
+              const position = outputWidth - overlap + k
+              if (position < 0) {
+                continue
+              }
+              const smushed = smush(merged[position], rows[i][k], previousWidth, width)
+              merged[position] = (smushed === null) ? rows[i][k] : smushed
+            }
+            return merged.join('') + rows[i].slice(overlap).join('')
+          })
+          previousWidth = width
+        }
+        return output.map(row => row.split(hardblank).join(' '))
+      }
+
+      return String(text).split(/\n/g)
+        .flatMap(renderLine)
+        .join('\n')
+    }
+
+    // the font of drawText() by default, once matrix-monitor-fonts.js is loaded
+    static BANNER = null
+  }
+
+  // sources: https://ascii.co.uk/art and http://www.ascii-art.de/ascii/
+  static Image = class MatrixMonitorImage {
+
+    // samples a raster image down to a table of characters, fitting it
+    // (aspect ratio kept) into the given columns and rows of cells:
+    // - ramp: characters from dark to bright, or a (brightness) => char function
+    // - levels: steps of brightness a ramp function tells apart, the darkest
+    //   one left blank (256 by default)
+    // - threshold: brightness (0 to 1) below which cells are left blank
+    // - invert: swaps dark and bright
+    // - dither: spreads the error of each cell over its neighbours (Floyd-Steinberg)
+    // - color: keeps the color of the source pixels in each cell
+    // - width, height: forces the size of the table, in cells
+    // Transparent pixels are left out of the table (null), so the rain shows through them
+    static fromRaster(source, options = {}) {
+      let {
+        columns         = 80,
+        rows            = 40,
+        cellAspectRatio = 1,
+        ramp            = ' .:-=+*#%@',
+        threshold       = 0,
+        invert          = false,
+        dither          = false,
+        color           = false,
+        width           = null,
+        height          = null,
+        levels          = 256
+      } = options
+      const sourceWidth = source.naturalWidth || source.videoWidth || source.width
+      const sourceHeight = source.naturalHeight || source.videoHeight || source.height
+      if (!sourceWidth || !sourceHeight) {
+        throw new Error('Raster image has no size (is it loaded?)')
+      }
+
+      // how many columns a row of cells holds to keep the aspect ratio
+      const ratio = (sourceWidth / sourceHeight) / cellAspectRatio
+      if (!width && !height) {
+        width = Math.max(1, columns)
+        height = Math.round(width / ratio)
+        if (height > rows) {
+          height = Math.max(1, rows)
+          width = Math.round(height * ratio)
+        }
+      } else if (!height) {
+        height = Math.round(width / ratio)
+      } else if (!width) {
+        width = Math.round(height * ratio)
+      }
+      width = Math.max(1, width)
+      height = Math.max(1, height)
+
+      // the browser scales the image down, averaging the pixels of each cell
+      const createCanvas = (canvasWidth, canvasHeight) => {
+        if (typeof OffscreenCanvas === 'function') {
+          return new OffscreenCanvas(canvasWidth, canvasHeight)
+        }
+        const canvas = document.createElement('canvas')
+        canvas.width = canvasWidth
+        canvas.height = canvasHeight
+        return canvas
+      }
+      let drawable = source
+      if ((typeof ImageData !== 'undefined') && (source instanceof ImageData)) {
+        drawable = createCanvas(sourceWidth, sourceHeight)
+        drawable.getContext('2d').putImageData(source, 0, 0)
+      }
+      const canvas = createCanvas(width, height)
+      const context = canvas.getContext('2d')
+      context.imageSmoothingQuality = 'high'
+      context.drawImage(drawable, 0, 0, width, height)
+      const pixels = context.getImageData(0, 0, width, height).data
+
+      const rampChars = (typeof ramp === 'function') ? null : [...ramp]
+      levels = rampChars ? rampChars.length : Math.max(2, levels)
+      const brightness = []
+      for (let i = 0; i < height; i++) {
+        brightness.push([])
+        for (let j = 0; j < width; j++) {
+          const offset = ((i * width) + j) * 4
+          const [red, green, blue] = pixels.slice(offset, offset + 3)
+          const luminance = ((0.2126 * red) + (0.7152 * green) + (0.0722 * blue)) / 255
+          brightness[i].push(invert ? 1 - luminance : luminance)
+        }
+      }
+
+      const table = []
+      for (let i = 0; i < height; i++) {
+        const row = []
+        for (let j = 0; j < width; j++) {
+          const offset = ((i * width) + j) * 4
+          const value = Math.max(0, Math.min(1, brightness[i][j]))
+          const level = Math.round(value * (levels - 1))
+          if (dither) {
+            const error = value - (level / (levels - 1))
+            const spread = (y, x, weight) => {
+              if (brightness[y] && (x >= 0) && (x < width)) {
+                brightness[y][x] += error * weight
+              }
+            }
+            spread(i, j + 1, 7 / 16)
+            spread(i + 1, j - 1, 3 / 16)
+            spread(i + 1, j, 5 / 16)
+            spread(i + 1, j + 1, 1 / 16)
+          }
+
+          if (pixels[offset + 3] < 128) {
+            row.push(null)
+            continue
+          }
+          if ((value < threshold) || (!rampChars && (level === 0))) {
+            row.push(' ')
+            continue
+          }
+          const char = rampChars ? rampChars[level] : ramp(value)
+          row.push((color && (char !== ' '))
+            ? {char, color: `rgb(${pixels[offset]}, ${pixels[offset + 1]}, ${pixels[offset + 2]})`}
+            : char)
+        }
+        table.push(row)
+      }
+      return table
+    }
+
+    // artist: unknown
+    static ALIEN = `.     .       .  .   . .   .   . .    +  .
+    .     .  :     .    .. :. .___---------___.
+         .  .   .    .  :.:. _".^ .^ ^.  '.. :"-_. .
+      .  :       .  .  .:../:            . .^  :.:\\.
+          .   . :: +. :.:/: .   .    .        . . .:\\
+   .  :    .     . _ :::/:               .  ^ .  . .:\\
+    .. . .   . - : :.:./.                        .  .:\\
+    .      .     . :..|:                    .  .  ^. .:|
+      .       . : : ..||        .                . . !:|
+    .     . . . ::. ::\\(                           . :)/
+   .   .     : . : .:.|. ######              .#######::|
+    :.. .  :-  : .:  ::|.#######           ..########:|
+   .  .  .  ..  .  .. :\\ ########          :######## :/
+    .        .+ :: : -.:\\ ########       . ########.:/
+      .  .+   . . . . :.:\\. #######       #######..:/
+        :: . . . . ::.:..:.\\           .   .   ..:/
+     .   .   .  .. :  -::::.\\.       | |     . .:/
+        .  :  .  .  .-:.":.::.\\             ..:/
+   .      -.   . . . .: .:::.:.\\.           .:/
+  .   .   .  :      : ....::_:..:\\   ___.  :/
+     .   .  .   .:. .. .  .: :.:.:\\       :/
+       +   .   .   : . ::. :.:. .:.|\\  .:/|
+       .         +   .  .  ...:: ..|  --.:|
+  .      . . .   .  .  . ... :..:.."(  ..)"
+   .   .       .      :  .   .: ::/  .  .::\\`
+
+
+   static SKULL = `         _,.-------.,_
+    ,;~'             '~;,
+  ,;                     ;,
+ ;                         ;
+,'                         ',
+,;                           ;,
+; ;      .           .      ; ;
+| ;   ______       ______   ; |
+|  \`/~"     ~" . "~     "~\\'  |
+|  ~  ,-~~~^~, | ,~^~~~-,  ~  |
+|   |        }:{        |   |
+|   l       / | \\       !   |
+.~  (__,.--" .^. "--.,__)  ~.
+|     ---;' / | \\ \`;---     |
+ \\__.       \\/^\\/       .__/
+  V| \                 / |V
+   | |T~\___!___!___/~T| |
+   | |\`IIII_I_I_I_IIII'| |
+   |  \\,III I I I III,/  |
+    \\   \`~~~~~~~~~~'    /
+      \\   .       .   /
+        \\.    ^    ./
+          ^~~~^~~~^
+                dcau (4/15/95)`
+  }
+}
+
+// for the hosts and renderers of the other modules
+export {
+  noop,
+  minVisibleOpacity,
+  parseColor,
+  blendColor,
+  ansiColor,
+  isWideGlyph,
+  createTransitions
+}
@@ -0,0 +1,382 @@
+/*
+ * MIT License
+ * Copyright (c) 2020 Carlos Henrique Reche
+ * 
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ * 
+ * The above copyright notice and this permission notice shall be included in
+ * all copies or substantial portions of the Software.
+ * 
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ */
+
+/**
+ * MatrixMonitor DOM
+ *
+ * The page as a host of MatrixMonitor, with the DOM and canvas renderers,
+ * registered as MatrixMonitor.Host.DOM, MatrixMonitor.Renderer.DOM and
+ * MatrixMonitor.Renderer.CANVAS once imported
+ *
+ * @url https://github.com/carlosreche/matrix-monitor
+ * @author Carlos Henrique Reche
+ */
+
+import MatrixMonitor, {createTransitions} from './matrix-monitor-core.js'
+
+// elements of the page, drawn with DOM nodes by default
+const createDOMHost = (monitor) => {
+  let container = null
+  let saved = null
+  const layers = []
+  const cleanups = []
+  const onCleanup = (cleanup) => cleanups.push(cleanup)
+  return {
+    renderer: 'dom',
+    layout: null,
+
+    isReady: () => document.readyState === 'complete',
+
+    whenReady(callback) {
+      window.addEventListener('load', callback)
+      return () => window.removeEventListener('load', callback)
+    },
+
+    find: (target) => (typeof target === 'string')
+      ? document.getElementById(target)
+      : target,
+
+    attach(element) {
+      container = element
+      saved = {
+        style: container.getAttribute('style'),
+        children: [...container.childNodes],
+        attributes: {}
+      }
+      for (const attribute of ['role', 'aria-label', 'aria-hidden']) {
+        saved.attributes[attribute] = container.getAttribute(attribute)
+      }
+      while (container.lastChild) {
+        container.lastChild.remove()
+      }
+    },
+
+    detach() {
+      cleanups.splice(0).forEach(cleanup => cleanup())
+      while (container.lastChild) {
+        container.lastChild.remove()
+      }
+      container.append(...saved.children)
+      this.setAttributes({style: saved.style, ...saved.attributes})
+      container = null
+    },
+
+    getSize: () => ({
+      width: container.clientWidth,
+      height: container.clientHeight
+    }),
+
+    getOrigin() {
+      const {left, top} = container.getBoundingClientRect()
+      return {left, top}
+    },
+
+    setStyle(style) {
+      Object.assign(container.style, style)
+    },
+
+    setAttributes(attributes) {
+      for (const [attribute, value] of Object.entries(attributes)) {
+        if (value === null) {
+          container.removeAttribute(attribute)
+        } else {
+          container.setAttribute(attribute, value)
+        }
+      }
+    },
+
+    listen(type, listener) {
+      container.addEventListener(type, listener)
+      onCleanup(() => container.removeEventListener(type, listener))
+    },
+
+    watch({resize, motion, visibility}) {
+      if (typeof ResizeObserver === 'function') {
+        const resizeObserver = new ResizeObserver(() => resize())
+        resizeObserver.observe(container)
+        onCleanup(() => resizeObserver.disconnect())
+      } else {
+        window.addEventListener('resize', resize)
+        onCleanup(() => window.removeEventListener('resize', resize))
+      }
+      if (typeof matchMedia === 'function') {
+        const motionQuery = matchMedia('(prefers-reduced-motion: reduce)')
+        const motionListener = () => motion(motionQuery.matches)
+        motionQuery.addEventListener('change', motionListener)
+        onCleanup(() => motionQuery.removeEventListener('change', motionListener))
+        motion(motionQuery.matches)
+      }
+      let isInView = true
+      const visibilityListener = () => visibility(isInView
+        && (document.visibilityState !== 'hidden'))
+      document.addEventListener('visibilitychange', visibilityListener)
+      onCleanup(() => document.removeEventListener('visibilitychange', visibilityListener))
+      if (typeof IntersectionObserver === 'function') {
+        const intersectionObserver = new IntersectionObserver(entries => {
+          isInView = entries[entries.length - 1].isIntersecting
+          visibilityListener()
+        })
+        intersectionObserver.observe(container)
+        onCleanup(() => intersectionObserver.disconnect())
+      }
+    },
+
+    // the monitor of a layer sets up its element as any container, so
+    // a plane around it is what covers the whole of this one
+    createLayer({opacity, blur}) {
+      const plane = document.createElement('div')
+      Object.assign(plane.style, {
+        position: 'absolute',
+        top: '0',
+        left: '0',
+        width: '100%',
+        height: '100%',
+        opacity: String(opacity),
+        filter: (blur > 0) ? `blur(${blur}px)` : '',
+        pointerEvents: 'none'
+      })
+      plane.setAttribute('aria-hidden', 'true')
+      const layer = document.createElement('div')
+      plane.append(layer)
+      return layer
+    },
+
+    attachLayer(layer) {
+      const previous = layers[layers.length - 1]
+      container.insertBefore(layer.parentNode,
+        previous ? previous.parentNode.nextSibling : container.firstChild)
+      layers.push(layer)
+    },
+
+    detachLayer(layer) {
+      if (layers.includes(layer)) {
+        layers.splice(layers.indexOf(layer), 1)
+      }
+      layer.parentNode.remove()
+    }
+  }
+}
+
+// a node for each column and cell, their transitions left to CSS
+const createDOMRenderer = (monitor) => {
+  return {
+    initialize(container) {},
+
+    // columns and cells are sized with CSS, so they follow the container
+    resize() {},
+
+    // the nodes are removed along with the container's content
+    destroy() {},
+
+    addColumn(column) {
+      const {paddingTop, cellWidth, cellHeight} = monitor.layout
+      const divColumn = document.createElement('div')
+      monitor.container.append(divColumn)
+      Object.assign(divColumn.style, {
+        position: 'absolute',
+        top: paddingTop + 'px',
+        left: column.x + 'px',
+        width: cellWidth + 'px',
+        height: 'calc(100% + ' + cellHeight + 'px)',
+      })
+      divColumn.setAttribute('aria-hidden', 'true')
+      column.htmlElement = divColumn
+    },
+
+    addCell(cell) {
+      const {paddingTop, cellHeight} = monitor.layout
+      const divCell = document.createElement('div')
+      monitor.columns[cell.columnIndex].htmlElement.append(divCell)
+      Object.assign(divCell.style, {
+        position: 'absolute',
+        top: (cell.y - paddingTop) + 'px',
+        left: '0',
+        width: '100%',
+        height: cellHeight + 'px',
+        transitionProperty: 'color, opacity, background-color, text-shadow',
+        transitionTimingFunction: 'ease-out'
+      })
+      cell.htmlElement = divCell
+    },
+
+    removeColumn(column) {
+      column.htmlElement.remove()
+    },
+
+    removeCell(cell) {
+      cell.htmlElement.remove()
+    },
+
+    paint(cell, changes) {
+      const {
+        char,
+        color,
+        opacity,
+        backgroundColor,
+        glow,
+        mirrored,
+        transitionDelay = 0,
+        transitionDuration = 0
+      } = changes
+      const htmlElement = cell.htmlElement
+      const style = htmlElement.style
+      // CSS transitions go at the speed of the scene
+      const timeScale = monitor.clock.timeScale || 1
+      style.transitionDelay = (transitionDelay / timeScale) + 'ms'
+      style.transitionDuration = (transitionDuration / timeScale) + 'ms'
+      if (color !== undefined) {
+        style.color = color
+      }
+      if (char !== undefined) {
+        htmlElement.innerText = char
+      }
+      if (mirrored !== undefined) {
+        style.transform = mirrored ? 'scaleX(-1)' : ''
+      }
+      if (opacity !== undefined) {
+        style.opacity = opacity
+      }
+      if (backgroundColor !== undefined) {
+        style.backgroundColor = backgroundColor
+      }
+      if (glow !== undefined) {
+        style.textShadow = glow
+          ? `0 0 ${monitor.layout.cellHeight / 2}px ${glow}`
+          : ''
+      }
+    }
+  }
+}
+
+// draws every cell on a single canvas, animating the same style
+// transitions the DOM renderer delegates to CSS
+const createCanvasRenderer = (monitor) => {
+  let canvas = null
+  let context = null
+
+  const drawCell = (cell, time) => {
+    const {cellWidth, cellHeight, horizontalSpacing, verticalSpacing} =
+      monitor.layout
+    const {char, glow, mirrored, color, opacity, backgroundColor} =
+      transitions.valuesAt(cell, time)
+    const x = cell.x - (horizontalSpacing / 2)
+    const y = cell.y - (verticalSpacing / 2)
+    const width = cellWidth + horizontalSpacing
+    const height = cellHeight + verticalSpacing
+
+    context.save()
+    context.beginPath()
+    context.rect(x, y, width, height)
+    context.clip()
+    context.clearRect(x, y, width, height)
+    context.fillStyle = monitor.getCellBackground()
+    context.fillRect(x, y, width, height)
+    context.globalAlpha = opacity
+    if (backgroundColor[3] > 0) {
+      context.fillStyle = `rgba(${backgroundColor.join(',')})`
+      context.fillRect(cell.x, cell.y, cellWidth, cellHeight)
+    }
+    if (char) {
+      const centerX = cell.x + (cellWidth / 2)
+      if (glow) {
+        context.shadowColor = glow
+        context.shadowBlur = cellHeight / 2
+      }
+      if (mirrored) {
+        context.translate(centerX * 2, 0)
+        context.scale(-1, 1)
+      }
+      context.fillStyle = `rgba(${color.join(',')})`
+      context.fillText(char, centerX, cell.y + (cellHeight / 2))
+    }
+    context.restore()
+  }
+
+  const transitions = createTransitions(monitor, (cells, time) => {
+    for (const cell of cells) {
+      drawCell(cell, time)
+    }
+  })
+
+  return {
+    initialize(container) {
+      canvas = document.createElement('canvas')
+      canvas.setAttribute('aria-hidden', 'true')
+      container.append(canvas)
+      Object.assign(canvas.style, {
+        position: 'absolute',
+        top: '0',
+        left: '0',
+        width: '100%',
+        height: '100%'
+      })
+      context = canvas.getContext('2d')
+    },
+
+    destroy() {
+      transitions.destroy()
+      canvas.remove()
+    },
+
+    // resizing clears the canvas, so every cell is drawn again
+    resize() {
+      const container = monitor.container
+      const options = monitor.options
+      const {fontSize, fontFamily, fontWeight} = options
+      const pixelRatio = window.devicePixelRatio || 1
+      canvas.width = container.clientWidth * pixelRatio
+      canvas.height = container.clientHeight * pixelRatio
+      context.scale(pixelRatio, pixelRatio)
+      context.font = [
+        fontWeight,
+        fontSize + (typeof fontSize === 'number' ? 'px' : ''),
+        fontFamily
+      ].join(' ')
+      context.textAlign = 'center'
+      context.textBaseline = 'middle'
+      context.fillStyle = monitor.getCellBackground()
+      context.fillRect(0, 0, container.clientWidth, container.clientHeight)
+      transitions.redraw()
+    },
+
+    addColumn(column) {},
+
+    removeColumn(column) {},
+
+    removeCell(cell) {
+      transitions.remove(cell)
+    },
+
+    addCell(cell) {
+      transitions.add(cell)
+    },
+
+    paint(cell, changes) {
+      transitions.paint(cell, changes)
+    }
+  }
+}
+
+MatrixMonitor.registerHost('DOM', createDOMHost)
+MatrixMonitor.registerRenderer('DOM', createDOMRenderer)
+MatrixMonitor.registerRenderer('CANVAS', createCanvasRenderer)
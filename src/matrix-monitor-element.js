@@ -0,0 +1,219 @@
+/*
+ * MIT License
+ * Copyright (c) 2020 Carlos Henrique Reche
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in
+ * all copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ */
+
+/**
+ * MatrixMonitorElement
+ *
+ * The <matrix-monitor> custom element, where every attribute is an option of
+ * MatrixMonitor written in kebab case:
+ *
+ *   <matrix-monitor font-color="#0f0" cell-width="15" autostart></matrix-monitor>
+ *
+ * @url https://github.com/carlosreche/matrix-monitor
+ * @author Carlos Henrique Reche
+ */
+
+import MatrixMonitor from './matrix-monitor.js'
+
+ // private fields
+const _monitor = Symbol('MatrixMonitorElement._monitor')
+const _container = Symbol('MatrixMonitorElement._container')
+const _pending = Symbol('MatrixMonitorElement._pending')
+const _applied = Symbol('MatrixMonitorElement._applied')
+const _create = Symbol('MatrixMonitorElement._create')
+const _call = Symbol('MatrixMonitorElement._call')
+const _reject = Symbol('MatrixMonitorElement._reject')
+
+const toAttribute = (option) => option.replace(/[A-Z]/g, char => '-' + char.toLowerCase())
+const toOption = (attribute) => attribute.replace(/-([a-z])/g, (match, char) => char.toUpperCase())
+
+// functions (and objects made of them) can't be written as attributes
+const attributeOptions = Object.keys(MatrixMonitor.DEFAULT_OPTIONS)
+  .filter(option => !['random', 'clock'].includes(option))
+
+// attributes are read as URL parameters are, JSON for nested options and palettes
+const parseAttribute = (option, value) => (value === null)
+  ? MatrixMonitor.DEFAULT_OPTIONS[option]
+  : MatrixMonitor.Config.parseValue(option, value)
+
+const template = `
+  <style>
+    :host {
+      display: block;
+      position: relative;
+      width: 100%;
+      height: 100%;
+      isolation: isolate;
+    }
+    :host([hidden]) {
+      display: none;
+    }
+    div {
+      width: 100%;
+      height: 100%;
+    }
+  </style>
+  <div part="monitor"></div>
+`
+
+export default class MatrixMonitorElement extends HTMLElement {
+
+  static get observedAttributes() {
+    return attributeOptions.map(toAttribute)
+  }
+
+  constructor() {
+    super()
+    this.attachShadow({mode: 'open'}).innerHTML = template
+    this[_container] = this.shadowRoot.querySelector('div')
+    this[_monitor] = null
+    this[_pending] = []
+    this[_applied] = {} // options of the attributes, as last applied
+  }
+
+  // the MatrixMonitor instance, while the element is in the document
+  get monitor() {
+    return this[_monitor]
+  }
+
+  get options() {
+    return Object.fromEntries(attributeOptions
+      .filter(option => this.hasAttribute(toAttribute(option)))
+      .map(option => [
+        option,
+        parseAttribute(option, this.getAttribute(toAttribute(option)))
+      ]))
+  }
+
+  connectedCallback() {
+    this[_create]()
+    if (this.hasAttribute('autostart')) {
+      this.start()
+    }
+    for (const {method, args, resolve, reject} of this[_pending].splice(0)) {
+      this[_call](method, ...args).then(resolve, reject)
+    }
+  }
+
+  disconnectedCallback() {
+    if (this[_monitor]) {
+      this[_monitor].destroy()
+      this[_monitor] = null
+    }
+  }
+
+  attributeChangedCallback(attribute, oldValue, newValue) {
+    const monitor = this[_monitor]
+    if (!monitor || (oldValue === newValue)) {
+      return
+    }
+    const option = toOption(attribute)
+    try {
+      const value = parseAttribute(option, newValue)
+      monitor.setOptions({[option]: value})
+      this[_applied][option] = value
+    } catch (error) {
+      this[_reject](attribute, error)
+    }
+  }
+
+  // wrong attributes keep the value last applied, if any, found one by one
+  // when they fail together
+  [_create]() {
+    let options = {}
+    try {
+      options = this.options
+      MatrixMonitor.Config.validate(options)
+    } catch (error) {
+      options = {}
+      for (const option of attributeOptions) {
+        const attribute = toAttribute(option)
+        if (!this.hasAttribute(attribute)) {
+          continue
+        }
+        try {
+          const value = parseAttribute(option, this.getAttribute(attribute))
+          MatrixMonitor.Config.validate({...options, [option]: value})
+          options[option] = value
+        } catch (error) {
+          if (option in this[_applied]) {
+            options[option] = this[_applied][option]
+          }
+          this[_reject](attribute, error)
+        }
+      }
+    }
+    this[_monitor] = new MatrixMonitor(this[_container], options)
+    this[_applied] = {...options}
+  }
+
+  // an attribute that can't be applied leaves its option as it was, telling
+  // it through an "error" event, or a warning unless the event is cancelled
+  [_reject](attribute, error) {
+    const event = new CustomEvent('error', {
+      detail: {attribute, error},
+      cancelable: true
+    })
+    if (this.dispatchEvent(event)) {
+      console.warn(`MatrixMonitorElement: ${error.message} (attribute: ${attribute})`)
+    }
+  }
+
+  // calls made before the element is in the document wait for it
+  [_call](method, ...args) {
+    if (this[_monitor]) {
+      return this[_monitor][method](...args)
+    }
+    return new Promise((resolve, reject) => {
+      this[_pending].push({method, args, resolve, reject})
+    })
+  }
+
+  start(options = {}) {
+    return this[_call]('start', options)
+  }
+
+  pause(options = {}) {
+    return this[_call]('pause', options)
+  }
+
+  resume(options = {}) {
+    return this[_call]('resume', options)
+  }
+
+  stop(options = {}) {
+    return this[_call]('stop', options)
+  }
+
+  draw(asciiImage, options = {}) {
+    return this[_call]('draw', asciiImage, options)
+  }
+
+  glitch(glitchFunction, options = {}) {
+    return this[_call]('glitch', glitchFunction, options)
+  }
+}
+
+if (!customElements.get('matrix-monitor')) {
+  customElements.define('matrix-monitor', MatrixMonitorElement)
+}
@@ -0,0 +1,358 @@
+/*
+ * MIT License
+ * Copyright (c) 2020 Carlos Henrique Reche
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in
+ * all copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ */
+
+/**
+ * MatrixMonitorPanel
+ *
+ * An overlay to tweak a MatrixMonitor live, shown and hidden with a hotkey
+ * (M by default), which copies the options as JSON or as a link:
+ *
+ *   new MatrixMonitorPanel(monitor, {hotkey: 'm'})
+ *
+ * @url https://github.com/carlosreche/matrix-monitor
+ * @author Carlos Henrique Reche
+ */
+
+import MatrixMonitor from './matrix-monitor.js'
+
+ // private fields
+const _monitor = Symbol('MatrixMonitorPanel._monitor')
+const _options = Symbol('MatrixMonitorPanel._options')
+const _host = Symbol('MatrixMonitorPanel._host')
+const _inputs = Symbol('MatrixMonitorPanel._inputs')
+const _onKey = Symbol('MatrixMonitorPanel._onKey')
+const _build = Symbol('MatrixMonitorPanel._build')
+const _refresh = Symbol('MatrixMonitorPanel._refresh')
+const _change = Symbol('MatrixMonitorPanel._change')
+const _copy = Symbol('MatrixMonitorPanel._copy')
+const _status = Symbol('MatrixMonitorPanel._status')
+
+const presetNames = (presets) => [''].concat(Object.keys(presets)
+  .map(name => name.toLowerCase().replace(/_/g, '-')))
+
+// what each control changes, nested options with a dot; layout options lay
+// the grid out again, so their sliders apply once released
+const controls = [
+  {option: 'theme', type: 'select', values: () => presetNames(MatrixMonitor.Theme)},
+  {option: 'palette', type: 'select', values: () => presetNames(MatrixMonitor.Palette)},
+  {option: 'charset', type: 'select', values: () => presetNames(MatrixMonitor.Charset)},
+  {option: 'alphabet', type: 'text'},
+  {option: 'mode', type: 'select', values: () => ['classic', 'trail']},
+  {option: 'backgroundColor', type: 'color'},
+  {option: 'fontColor', type: 'color'},
+  {option: 'onHead.fontColor', type: 'color'},
+  {option: 'onAppear.fontColor', type: 'color'},
+  {option: 'onFade.fontColor', type: 'color'},
+  {option: 'onDelete.backgroundColor', type: 'color'},
+  {option: 'timeScale', type: 'range', min: 0, max: 4, step: 0.05},
+  {option: 'density', type: 'range', min: 0, max: 1, step: 0.05},
+  {option: 'mutationRate', type: 'range', min: 0, max: 1, step: 0.01},
+  {option: 'mirrored', type: 'range', min: 0, max: 1, step: 0.05},
+  {option: 'glitchFrequency', type: 'range', min: 0, max: 30, step: 1},
+  {option: 'minCharProgression', type: 'range', min: 10, max: 2000, step: 10},
+  {option: 'maxCharProgression', type: 'range', min: 10, max: 3000, step: 10},
+  {option: 'minTrailLength', type: 'range', min: 1, max: 60, step: 1},
+  {option: 'maxTrailLength', type: 'range', min: 1, max: 60, step: 1},
+  {option: 'onFade.opacity', type: 'range', min: 0, max: 1, step: 0.05},
+  {option: 'fontSize', type: 'range', min: 6, max: 60, step: 1, isLayout: true},
+  {option: 'cellWidth', type: 'range', min: 4, max: 60, step: 1, isLayout: true},
+  {option: 'cellHeight', type: 'range', min: 4, max: 60, step: 1, isLayout: true},
+  {option: 'horizontalSpacing', type: 'range', min: 0, max: 30, step: 1, isLayout: true},
+  {option: 'verticalSpacing', type: 'range', min: 0, max: 30, step: 1, isLayout: true}
+]
+
+const readOption = (options, option) => option.split('.')
+  .reduce((value, name) => ((value === null) || (value === undefined)) ? value : value[name],
+    options)
+
+const toChange = (option, value) => {
+  const [name, property] = option.split('.')
+  return property ? {[name]: {[property]: value}} : {[name]: value}
+}
+
+// color inputs only take #rrggbb, so other colors go through a canvas
+let colorContext = null
+const toHex = (color) => {
+  if (/^#[0-9a-f]{6}$/i.test(color)) {
+    return color
+  }
+  if (/^#[0-9a-f]{3}$/i.test(color)) {
+    return '#' + [...color.slice(1)].map(digit => digit + digit).join('')
+  }
+  colorContext = colorContext || document.createElement('canvas').getContext('2d')
+  if (colorContext && color) {
+    colorContext.fillStyle = '#000000'
+    colorContext.fillStyle = color
+    if (colorContext.fillStyle[0] === '#') {
+      return colorContext.fillStyle
+    }
+  }
+  return '#000000'
+}
+
+// keys typed in fields are text, not the hotkey
+const isTyping = (event) => {
+  const target = event.composedPath ? event.composedPath()[0] : event.target
+  return Boolean(target) && (['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName)
+    || target.isContentEditable)
+}
+
+const template = `
+  <style>
+    :host {
+      position: fixed;
+      top: 10px;
+      right: 10px;
+      z-index: 2147483647;
+      max-height: calc(100vh - 20px);
+      overflow: auto;
+      font: 12px/1.4 monospace;
+      color: #C8FFC8;
+      background: rgba(0, 20, 0, 0.9);
+      border: 1px solid #01A400;
+      border-radius: 4px;
+      padding: 8px 10px;
+    }
+    :host([hidden]) {
+      display: none;
+    }
+    label {
+      display: grid;
+      grid-template-columns: 11em 10em 3em;
+      align-items: center;
+      gap: 6px;
+      margin: 3px 0;
+    }
+    input, select, button, textarea {
+      font: inherit;
+      color: inherit;
+      background: #001500;
+      border: 1px solid #01A400;
+    }
+    input[type="color"] {
+      padding: 0;
+      height: 1.6em;
+    }
+    .buttons {
+      display: flex;
+      gap: 6px;
+      margin-top: 8px;
+    }
+    textarea {
+      display: block;
+      width: 100%;
+      box-sizing: border-box;
+      margin-top: 6px;
+    }
+    textarea:empty, .status:empty {
+      display: none;
+    }
+  </style>
+  <form part="panel"></form>
+  <div class="buttons">
+    <button type="button" data-copy="json">Copy JSON</button>
+    <button type="button" data-copy="url">Copy URL</button>
+    <button type="button" data-close>Close</button>
+  </div>
+  <div class="status" role="status"></div>
+  <textarea readonly rows="6" aria-label="Configuration"></textarea>
+`
+
+export default class MatrixMonitorPanel {
+
+  // - hotkey: key showing and hiding the panel (as in KeyboardEvent.key),
+  //   null to do it only through toggle()
+  // - isOpen: whether the panel is shown right away
+  // - actions: startup actions added to the copied URLs, as in
+  //   MatrixMonitor.Config.toURL()
+  constructor(monitor, options = {}) {
+    const {
+      hotkey = 'm',
+      isOpen = false,
+      actions = null
+    } = options
+    this[_monitor] = monitor
+    this[_options] = {hotkey, actions}
+    this[_inputs] = new Map()
+    this[_host] = document.createElement('div')
+    this[_host].attachShadow({mode: 'open'}).innerHTML = template
+    this[_host].hidden = true
+    this[_host].setAttribute('role', 'dialog')
+    this[_host].setAttribute('aria-label', 'Matrix Monitor settings')
+    this[_build]()
+    document.body.append(this[_host])
+
+    this[_onKey] = (event) => {
+      if (isTyping(event) || event.ctrlKey || event.metaKey || event.altKey) {
+        return
+      }
+      if ((hotkey !== null) && (event.key.toLowerCase() === String(hotkey).toLowerCase())) {
+        this.toggle()
+      } else if ((event.key === 'Escape') && this.isOpen) {
+        this.close()
+      }
+    }
+    document.addEventListener('keydown', this[_onKey])
+    if (isOpen) {
+      this.open()
+    }
+  }
+
+  get isOpen() {
+    return !this[_host].hidden
+  }
+
+  // shows the panel with the options as they are now
+  open() {
+    this[_refresh]()
+    this[_host].hidden = false
+  }
+
+  close() {
+    this[_host].hidden = true
+  }
+
+  toggle() {
+    if (this.isOpen) {
+      this.close()
+    } else {
+      this.open()
+    }
+  }
+
+  destroy() {
+    document.removeEventListener('keydown', this[_onKey])
+    this[_host].remove()
+  }
+
+  [_build]() {
+    const root = this[_host].shadowRoot
+    const form = root.querySelector('form')
+    for (const control of controls) {
+      const label = document.createElement('label')
+      const name = document.createElement('span')
+      name.textContent = control.option
+      let input
+      if (control.type === 'select') {
+        input = document.createElement('select')
+        for (const value of control.values()) {
+          const option = document.createElement('option')
+          option.value = value
+          option.textContent = value || '(none)'
+          input.append(option)
+        }
+      } else {
+        input = document.createElement('input')
+        input.type = control.type
+        if (control.type === 'range') {
+          Object.assign(input, {min: control.min, max: control.max, step: control.step})
+        }
+      }
+      const output = document.createElement('output')
+      label.append(name, input, output)
+      form.append(label)
+      this[_inputs].set(control, {input, output})
+
+      const apply = () => this[_change](control, input, output)
+      if ((control.type === 'range') && !control.isLayout) {
+        input.addEventListener('input', apply)
+      } else if (control.type === 'range') {
+        input.addEventListener('input', () => (output.textContent = input.value))
+        input.addEventListener('change', apply)
+      } else {
+        input.addEventListener((control.type === 'text') ? 'change' : 'input', apply)
+      }
+    }
+    form.addEventListener('submit', event => event.preventDefault())
+    for (const button of root.querySelectorAll('[data-copy]')) {
+      button.addEventListener('click', () => this[_copy](button.dataset.copy))
+    }
+    root.querySelector('[data-close]').addEventListener('click', () => this.close())
+  }
+
+  // the controls show the current options, e.g. after a theme changed the colors
+  [_refresh]() {
+    const options = this[_monitor].getOptions()
+    for (const [control, {input, output}] of this[_inputs]) {
+      const value = readOption(options, control.option)
+      if (control.type === 'color') {
+        input.value = toHex(value)
+      } else if (control.type === 'select') {
+        input.value = (typeof value === 'string') ? value.toLowerCase().replace(/_/g, '-') : ''
+      } else {
+        input.value = (value === null) ? '' : value
+      }
+      output.textContent = (control.type === 'range') ? input.value : ''
+    }
+  }
+
+  [_change](control, input, output) {
+    let value = input.value
+    if (control.type === 'range') {
+      value = Number(value)
+      output.textContent = input.value
+    } else if ((control.type === 'select') && (value === '')) {
+      value = null
+    }
+    // the alphabet only shows without a charset
+    const changes = toChange(control.option, value)
+    if ((control.option === 'alphabet') && this[_monitor].getOptions().charset) {
+      changes.charset = null
+    }
+    try {
+      this[_monitor].setOptions(changes)
+      this[_status]('')
+    } catch (error) {
+      this[_status](error.message)
+    }
+    if (['theme', 'alphabet'].includes(control.option)) {
+      this[_refresh]()
+    }
+  }
+
+  // copies to the clipboard, or shows the text to be copied by hand
+  [_copy](format) {
+    const options = this[_monitor].getOptions()
+    const text = (format === 'json')
+      ? MatrixMonitor.Config.toJSON(options)
+      : MatrixMonitor.Config.toURL(options, {actions: this[_options].actions})
+    const textarea = this[_host].shadowRoot.querySelector('textarea')
+    const showText = () => {
+      textarea.textContent = text
+      textarea.select()
+      this[_status]('Copy the text below')
+    }
+    textarea.textContent = ''
+    if (navigator.clipboard && navigator.clipboard.writeText) {
+      navigator.clipboard.writeText(text)
+        .then(() => this[_status](format === 'json' ? 'JSON copied' : 'URL copied'))
+        .catch(showText)
+    } else {
+      showText()
+    }
+  }
+
+  [_status](message) {
+    this[_host].shadowRoot.querySelector('.status').textContent = message
+  }
+}
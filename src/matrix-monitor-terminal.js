@@ -0,0 +1,195 @@
+/*
+ * MIT License
+ * Copyright (c) 2020 Carlos Henrique Reche
+ * 
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ * 
+ * The above copyright notice and this permission notice shall be included in
+ * all copies or substantial portions of the Software.
+ * 
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ */
+
+/**
+ * MatrixMonitor terminal
+ *
+ * The terminal as a host of MatrixMonitor, with its renderer, registered as
+ * MatrixMonitor.Host.TERMINAL and MatrixMonitor.Renderer.TERMINAL once
+ * imported; along with the core it needs nothing of a browser
+ *
+ * @url https://github.com/carlosreche/matrix-monitor
+ * @author Carlos Henrique Reche
+ */
+
+import MatrixMonitor, {
+  noop,
+  minVisibleOpacity,
+  parseColor,
+  blendColor,
+  ansiColor,
+  isWideGlyph,
+  createTransitions
+} from './matrix-monitor-core.js'
+
+// an output stream of a terminal (a Node TTY), each cell of the grid
+// being one character of the screen, or two when the charset has wide
+// glyphs, so that all of them line up
+const createTerminalHost = (monitor) => {
+  let stream = null
+  const cleanups = []
+  return {
+    renderer: 'terminal',
+    get layout() {
+      return {
+        paddingTop: 0,
+        paddingLeft: 0,
+        cellWidth: monitor.getCharset().isWide ? 2 : 1,
+        cellHeight: 1,
+        horizontalSpacing: 0,
+        verticalSpacing: 0
+      }
+    },
+
+    isReady: () => true,
+
+    whenReady: () => noop,
+
+    find: (target) => target,
+
+    attach(output) {
+      stream = output
+    },
+
+    detach() {
+      cleanups.splice(0).forEach(cleanup => cleanup())
+      stream = null
+    },
+
+    // the grid overflows the bottom by one hidden row, like on a page
+    getSize: () => ({
+      width: stream.columns || 80,
+      height: stream.rows || 24
+    }),
+
+    getOrigin: () => ({left: 0, top: 0}),
+
+    setStyle() {},
+
+    setAttributes() {},
+
+    listen() {},
+
+    watch({resize}) {
+      if (typeof stream.on === 'function') {
+        stream.on('resize', resize)
+        cleanups.push(() => stream.off('resize', resize))
+      }
+    }
+
+    // no depth layers: a character of the screen can't show another one
+    // behind it
+  }
+}
+
+// writes the cells to a terminal with escape codes, in 24-bit, 256 or 16
+// colors (or none) as the stream supports, playing the same transitions as the
+// canvas renderer; the alternate screen leaves the shell as it was, and
+// mirrored glyphs are written as they are, which terminals can't flip
+const createTerminalRenderer = (monitor) => {
+  let stream = null
+
+  const screenBackground = () => parseColor(monitor.options.backgroundColor) || [0, 0, 0, 1]
+  // bits of color of the terminal, 24 when the stream doesn't tell
+  const getColorDepth = () => (typeof stream.getColorDepth === 'function')
+    ? stream.getColorDepth()
+    : 24
+
+  // the background and character of a cell, with the opacity blending
+  // both into the background of the screen, padded to the cell width
+  const cellOutput = (cell, time, background, colorDepth) => {
+    const {char, color, opacity, backgroundColor} = transitions.valuesAt(cell, time)
+    const cellBackground = (backgroundColor[3] > 0)
+      ? blendColor(backgroundColor, backgroundColor[3] * opacity, background)
+      : background
+    const isShown = char && (opacity >= minVisibleOpacity)
+    const {cellWidth} = monitor.layout
+    return ansiColor(cellBackground, true, colorDepth) + (isShown
+      ? ansiColor(blendColor(color, color[3] * opacity, background), false, colorDepth)
+        + char + ' '.repeat(Math.max(0, cellWidth - (isWideGlyph(char) ? 2 : 1)))
+      : ' '.repeat(cellWidth))
+  }
+
+  const transitions = createTransitions(monitor, (cells, time) => {
+    const rows = stream.rows || 24
+    const columns = stream.columns || 80
+    const background = screenBackground()
+    const colorDepth = getColorDepth()
+    let output = ''
+    for (const cell of cells) {
+      const state = transitions.get(cell)
+      // the last row is below the screen, and wide cells may not fit
+      // the last column
+      if ((cell.rowIndex < rows) && (cell.x + monitor.layout.cellWidth <= columns)) {
+        const text = cellOutput(cell, time, background, colorDepth)
+        if (text !== state.output) {
+          state.output = text
+          output += `\x1b[${cell.rowIndex + 1};${cell.x + 1}H${text}`
+        }
+      }
+    }
+    if (output) {
+      stream.write(output)
+    }
+  })
+
+  return {
+    initialize(output) {
+      stream = output
+      stream.write('\x1b[?1049h\x1b[?25l')
+    },
+
+    destroy() {
+      transitions.destroy()
+      stream.write('\x1b[0m\x1b[2J\x1b[?25h\x1b[?1049l')
+    },
+
+    // the screen is cleared, so every cell is drawn again
+    resize() {
+      stream.write(ansiColor(screenBackground(), true, getColorDepth()) + '\x1b[2J')
+      for (const cell of monitor.cells) {
+        transitions.get(cell).output = null
+      }
+      transitions.redraw()
+    },
+
+    addColumn(column) {},
+
+    removeColumn(column) {},
+
+    removeCell(cell) {
+      transitions.remove(cell)
+    },
+
+    addCell(cell) {
+      transitions.add(cell)
+    },
+
+    paint(cell, changes) {
+      transitions.paint(cell, changes)
+    }
+  }
+}
+
+MatrixMonitor.registerHost('TERMINAL', createTerminalHost)
+MatrixMonitor.registerRenderer('TERMINAL', createTerminalRenderer)
@@ -0,0 +1,60 @@
+import {test} from 'node:test'
+import assert from 'node:assert/strict'
+import {createMonitor} from './helpers.js'
+
+// the timers of the scene, as glitch functions get them
+const getScene = async (monitor, clock) => {
+  let scene = null
+  monitor.glitch((context) => {
+    scene = context
+  }, {duration: 1e9})
+  while (scene === null) {
+    clock.step(16)
+    await new Promise(resolve => setImmediate(resolve))
+  }
+  return scene
+}
+
+test('timers run in the order they are due, then in the order they were set', async () => {
+  const {monitor, clock} = await createMonitor()
+  const scene = await getScene(monitor, clock)
+  const order = []
+  for (const [name, delay] of [['c', 300], ['a', 100], ['b', 200], ['a2', 100], ['x', 50]]) {
+    scene.setTimeout(() => order.push(name), delay)
+  }
+  scene.clearTimeout(scene.setTimeout(() => order.push('cleared'), 10))
+  clock.step(1000)
+  assert.deepEqual(order, ['x', 'a', 'a2', 'b', 'c'])
+  monitor.destroy()
+})
+
+test('intervals run again after their interval, in order with the timeouts', async () => {
+  const {monitor, clock} = await createMonitor({seed: 2})
+  const scene = await getScene(monitor, clock)
+  const order = []
+  const interval = scene.setInterval(() => order.push('i'), 100)
+  scene.setTimeout(() => order.push('t'), 250)
+  for (let i = 0; i < 20; i++) {
+    clock.step(20)
+  }
+  scene.clearInterval(interval)
+  clock.step(1000)
+  assert.deepEqual(order, ['i', 'i', 't', 'i', 'i'])
+  monitor.destroy()
+})
+
+test('timers setting one another run a hundred of them per frame', async () => {
+  const {monitor, clock} = await createMonitor()
+  const scene = await getScene(monitor, clock)
+  let count = 0
+  const again = () => {
+    count++
+    scene.setTimeout(again, 0)
+  }
+  scene.setTimeout(again, 0)
+  clock.step(16)
+  assert.equal(count, 100)
+  clock.step(16)
+  assert.equal(count, 200)
+  monitor.destroy()
+})
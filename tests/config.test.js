@@ -0,0 +1,48 @@
+import {test} from 'node:test'
+import assert from 'node:assert/strict'
+import {MatrixMonitor} from './helpers.js'
+
+const {Config} = MatrixMonitor
+
+test('options survive a trip through a URL', () => {
+  const options = {
+    theme: 'amber',
+    mode: 'trail',
+    density: 0.3,
+    autoPause: false,
+    ariaLabel: '42',
+    charset: ['latin', {glyphs: '01', weight: 2}],
+    onFade: {opacity: 0.3}
+  }
+  const url = Config.toURL(options, {base: 'https://example.com/rain.html?lang=en#x'})
+  assert.ok(url.startsWith('https://example.com/rain.html?lang=en&'))
+  const parsed = Config.fromURL(url)
+  assert.deepEqual(parsed.options, options)
+  assert.deepEqual(parsed.actions, [])
+})
+
+test('the actions of the URL go along, unless others are given', () => {
+  const base = 'https://example.com/?theme=red-alert#actions=draw:skull:10s,stop:clear'
+  const kept = Config.fromURL(Config.toURL({mode: 'trail'}, {base}))
+  assert.deepEqual(kept.options, {mode: 'trail'})
+  assert.deepEqual(kept.actions, Config.fromURL(base).actions)
+  assert.deepEqual(kept.actions.slice(1), [{stop: {clearScreen: true}}])
+  assert.equal(kept.actions[0].duration, 10000)
+
+  const replaced = Config.fromURL(Config.toURL({}, {base, actions: 'wait:2s,start'}))
+  assert.deepEqual(replaced.actions, [{wait: 2000}, {start: {}}])
+})
+
+test('the hash wins over the query, and kebab case works as camel case', () => {
+  const {options} = Config.fromURL('https://example.com/?mode=trail&font-size=12#mode=classic')
+  assert.deepEqual(options, {mode: 'classic', fontSize: 12})
+})
+
+test('durations are milliseconds unless a unit says otherwise', () => {
+  assert.equal(Config.parseDuration('500'), 500)
+  assert.equal(Config.parseDuration(250), 250)
+  assert.equal(Config.parseDuration('500ms'), 500)
+  assert.equal(Config.parseDuration('30s'), 30000)
+  assert.equal(Config.parseDuration('2m'), 120000)
+  assert.throws(() => Config.parseDuration('soon'))
+})
@@ -0,0 +1,63 @@
+import {test} from 'node:test'
+import assert from 'node:assert/strict'
+import {MatrixMonitor, createMonitor, createTerminal} from './helpers.js'
+
+const whenInitialized = (monitor) => new Promise(resolve => monitor.once('initialized', resolve))
+const screen = (char) => ({rows: [[{char}]]})
+const firstChar = (monitor) => monitor.snapshot().rows[0][0].char
+
+test('calls made before the monitor is initialized run afterwards, in order', async () => {
+  const clock = MatrixMonitor.Clock.MANUAL()
+  const monitor = new MatrixMonitor(createTerminal(), {clock, seed: 1})
+  const restored = [monitor.restore(screen('A')), monitor.restore(screen('B'))]
+  const started = monitor.start({delay: 1})
+  assert.equal(monitor.snapshot().rows.length, 0)
+  await whenInitialized(monitor)
+  await Promise.all(restored)
+  assert.equal(firstChar(monitor), 'B')
+  clock.step(100)
+  await started
+  monitor.destroy()
+})
+
+test('a failing deferred call rejects and leaves the next ones to run', async () => {
+  const clock = MatrixMonitor.Clock.MANUAL()
+  const monitor = new MatrixMonitor(createTerminal(), {clock, seed: 1})
+  const drawn = monitor.draw(42)
+  const restored = monitor.restore(screen('C'))
+  await whenInitialized(monitor)
+  await assert.rejects(drawn)
+  await restored
+  assert.equal(firstChar(monitor), 'C')
+  monitor.destroy()
+})
+
+test('unknown glitches are rejected', async () => {
+  const {monitor} = await createMonitor()
+  const glitch = monitor.glitch('NOT_A_GLITCH')
+  assert.equal(typeof glitch.cancel, 'function')
+  await assert.rejects(glitch, /Unknown glitch: NOT_A_GLITCH/)
+  monitor.destroy()
+})
+
+test('an unknown renderer throws from the constructor', () => {
+  const terminal = createTerminal()
+  assert.throws(() => new MatrixMonitor(terminal, {renderer: 'nope'}), /Unknown renderer: nope/)
+  new MatrixMonitor(terminal, {clock: MatrixMonitor.Clock.MANUAL()}).destroy()
+})
+
+test('a failing initialization rejects the waiting calls and frees the container', async (t) => {
+  t.mock.method(console, 'error', () => {})
+  const terminal = createTerminal()
+  const clock = MatrixMonitor.Clock.MANUAL()
+  const renderer = () => {
+    throw new Error('No screen')
+  }
+  const monitor = new MatrixMonitor(terminal, {clock, renderer})
+  const started = monitor.start({delay: 1})
+  const restored = monitor.restore(screen('A'))
+  await assert.rejects(started, /No screen/)
+  await assert.rejects(restored, /No screen/)
+  assert.equal(console.error.mock.callCount(), 1)
+  new MatrixMonitor(terminal, {clock}).destroy()
+})
@@ -0,0 +1,57 @@
+import {JSDOM} from 'jsdom'
+import {MatrixMonitor} from './helpers.js'
+import '../src/matrix-monitor-dom.js'
+
+// a page for the DOM host and the renderers of the page: jsdom lays nothing
+// out, so elements are given a size, and canvases a 2D context keeping the
+// calls made to it
+const {window} = new JSDOM('<!DOCTYPE html><body></body>', {pretendToBeVisual: true})
+
+for (const name of ['window', 'document', 'HTMLElement', 'HTMLCanvasElement', 'HTMLImageElement',
+  'Node', 'Event', 'MouseEvent', 'CustomEvent', 'customElements', 'getComputedStyle']) {
+  globalThis[name] = window[name]
+}
+
+Object.defineProperties(window.HTMLElement.prototype, {
+  clientWidth: {get: () => 200, configurable: true},
+  clientHeight: {get: () => 120, configurable: true}
+})
+
+window.HTMLCanvasElement.prototype.getContext = function () {
+  const calls = []
+  const context = {calls, fillStyle: '#000000'}
+  for (const method of ['save', 'restore', 'beginPath', 'rect', 'clip', 'clearRect', 'fillRect',
+    'fillText', 'scale', 'translate', 'setTransform', 'drawImage', 'measureText']) {
+    context[method] = (...args) => {
+      calls.push([method, ...args])
+      return (method === 'measureText') ? {width: 10} : undefined
+    }
+  }
+  this.context = context
+  return context
+}
+
+// an element of the page to rain in
+export const createElement = () => {
+  const element = document.createElement('div')
+  document.body.append(element)
+  return element
+}
+
+// a monitor on an element of the page, its time moved by hand and its
+// droplets starting soon; resolves once the monitor is initialized
+export const createPageMonitor = async (options = {}, element = createElement()) => {
+  const clock = MatrixMonitor.Clock.MANUAL()
+  const monitor = new MatrixMonitor(element, {
+    clock,
+    seed: 1,
+    autoPause: false,
+    minCharStartDelay: 0,
+    maxCharStartDelay: 200,
+    ...options
+  })
+  await new Promise(resolve => monitor.once('initialized', resolve))
+  return {monitor, clock, element}
+}
+
+export const closePage = () => window.close()
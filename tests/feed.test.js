@@ -0,0 +1,79 @@
+import {test} from 'node:test'
+import assert from 'node:assert/strict'
+import {MatrixMonitor, createMonitor} from './helpers.js'
+
+test('fed items wait for the rain, then fall one per column', async () => {
+  const {monitor, clock} = await createMonitor({mainLoopInterval: 100000})
+  const items = []
+  monitor.on('dropletStart', droplet => {
+    if (droplet.item !== null) {
+      items.push(droplet.item)
+    }
+  })
+  monitor.feed(['first  line', 'second', ' '])
+  clock.step(1000)
+  assert.deepEqual(items, [])
+  monitor.start({delay: 1})
+  clock.step(100)
+  assert.deepEqual(items.sort(), ['first line', 'second'])
+  monitor.destroy()
+})
+
+test('a full queue drops the oldest items by default', async () => {
+  const {monitor} = await createMonitor({feedQueueLimit: 2})
+  const dropped = []
+  monitor.on('feedOverflow', ({item}) => dropped.push(item))
+  monitor.feed(['a', 'b', 'c', 'd'])
+  assert.deepEqual(dropped, ['a', 'b'])
+  monitor.destroy()
+})
+
+test('a full queue drops the newest items or throws, as feedOverflow says', async () => {
+  const {monitor} = await createMonitor({feedQueueLimit: 1, feedOverflow: 'drop-newest'})
+  const dropped = []
+  monitor.on('feedOverflow', ({item}) => dropped.push(item))
+  monitor.feed(['a', 'b', 'c'])
+  assert.deepEqual(dropped, ['b', 'c'])
+  monitor.setOptions({feedOverflow: 'error'})
+  assert.throws(() => monitor.feed('d'), /Feed queue is full \(1 items\)/)
+  monitor.destroy()
+})
+
+test('a feed queue takes at least one item', async () => {
+  assert.throws(() => MatrixMonitor.Config.validate({feedQueueLimit: 0}), /feedQueueLimit/)
+  const {monitor} = await createMonitor()
+  assert.throws(() => monitor.setOptions({feedQueueLimit: 0}), /feedQueueLimit/)
+  monitor.destroy()
+})
+
+test('items a feed source overflows with are told by error events', async () => {
+  const {monitor} = await createMonitor({feedQueueLimit: 1, feedOverflow: 'error'})
+  const errors = []
+  monitor.on('error', ({error}) => errors.push(error.message))
+  let isDone = false
+  const source = async function* () {
+    yield 'a'
+    yield 'b'
+    yield 'c'
+    isDone = true
+  }
+  monitor.feedFrom(source())
+  while (!isDone) {
+    await new Promise(resolve => setImmediate(resolve))
+  }
+  assert.deepEqual(errors, ['Feed queue is full (1 items)', 'Feed queue is full (1 items)'])
+  monitor.destroy()
+})
+
+test('a failing feed source is told by an error event', async () => {
+  const {monitor} = await createMonitor()
+  const failed = new Promise(resolve => monitor.once('error', resolve))
+  const source = {
+    [Symbol.asyncIterator]: () => ({
+      next: () => Promise.reject(new Error('Connection lost'))
+    })
+  }
+  monitor.feedFrom(source)
+  assert.equal((await failed).error.message, 'Connection lost')
+  monitor.destroy()
+})
@@ -0,0 +1,82 @@
+import {test} from 'node:test'
+import assert from 'node:assert/strict'
+import {createMonitor, stepUntil} from './helpers.js'
+
+test('a glitch runs for its duration, then is undone', async () => {
+  const {monitor, clock} = await createMonitor()
+  const events = []
+  monitor.on('glitchStart', ({name}) => events.push(`start ${name}`))
+  monitor.on('glitchEnd', ({name, cancelled}) => events.push(`end ${name} ${cancelled}`))
+  const flicker = () => {
+    events.push('run')
+    return () => events.push('undo')
+  }
+  const glitch = monitor.glitch(flicker, {duration: 500})
+  clock.step(100)
+  await new Promise(resolve => setImmediate(resolve))
+  assert.deepEqual(events, ['start flicker', 'run'])
+  await stepUntil(clock, glitch)
+  assert.deepEqual(events, ['start flicker', 'run', 'undo', 'end flicker false'])
+  monitor.destroy()
+})
+
+test('a cancelled glitch is undone right away', async () => {
+  const {monitor, clock} = await createMonitor()
+  let isUndone = false
+  const glitch = monitor.glitch(() => () => { isUndone = true }, {duration: 10000})
+  clock.step(100)
+  await new Promise(resolve => setImmediate(resolve))
+  glitch.cancel()
+  await glitch
+  assert.equal(isUndone, true)
+  monitor.destroy()
+})
+
+test('glitches that are not functions reject', async () => {
+  const {monitor} = await createMonitor()
+  for (const wrongGlitch of [undefined, null, 42]) {
+    const glitch = monitor.glitch(wrongGlitch)
+    assert.equal(typeof glitch.cancel, 'function')
+    await assert.rejects(glitch, /Glitch must be a function or a name/)
+  }
+  monitor.destroy()
+})
+
+test('a throwing glitch rejects and leaves room for the next one', async () => {
+  const {monitor, clock} = await createMonitor()
+  const ended = []
+  monitor.on('glitchEnd', ({cancelled}) => ended.push(cancelled))
+  const failing = monitor.glitch(() => {
+    throw new Error('Broken glitch')
+  }, {duration: 500})
+  await assert.rejects(stepUntil(clock, failing), /Broken glitch/)
+  assert.deepEqual(ended, [true])
+  await stepUntil(clock, monitor.glitch(() => {}, {duration: 500}))
+  assert.deepEqual(ended, [true, false])
+  monitor.destroy()
+})
+
+test('glitchFrequency picks glitches among the glitches option while it rains', async () => {
+  const seen = []
+  const {monitor, clock} = await createMonitor({
+    glitchFrequency: 60,
+    glitches: ['STUCK_CHARACTER'],
+    minGlitchDuration: 100,
+    maxGlitchDuration: 200
+  })
+  monitor.on('glitchStart', ({name}) => seen.push(name))
+  clock.step(10000)
+  assert.deepEqual(seen, [])
+  monitor.start({delay: 1})
+  for (let i = 0; i < 100; i++) {
+    clock.step(100)
+    await new Promise(resolve => setImmediate(resolve))
+  }
+  assert.ok(seen.length > 1)
+  assert.ok(seen.every(name => name === 'STUCK_CHARACTER'))
+  monitor.pause()
+  const count = seen.length
+  clock.step(10000)
+  assert.equal(seen.length, count)
+  monitor.destroy()
+})
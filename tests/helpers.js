@@ -0,0 +1,36 @@
+import MatrixMonitor from '../src/matrix-monitor-core.js'
+import '../src/matrix-monitor-terminal.js'
+
+// an output stream standing in for a terminal, keeping what is written to it
+export const createTerminal = (columns = 20, rows = 6) => ({
+  columns,
+  rows,
+  output: '',
+  write(data) {
+    this.output += data
+    return true
+  }
+})
+
+// a monitor on a terminal, its time moved by hand through clock.step();
+// resolves once the monitor is initialized
+export const createMonitor = async (options = {}, terminal = createTerminal()) => {
+  const clock = MatrixMonitor.Clock.MANUAL()
+  const monitor = new MatrixMonitor(terminal, {clock, seed: 1, autoPause: false, ...options})
+  await new Promise(resolve => monitor.once('initialized', resolve))
+  return {monitor, clock, terminal}
+}
+
+// steps the clock until the promise settles, letting the promises waiting
+// on each step go on before the next one; resolves as the promise does
+export const stepUntil = async (clock, promise, maxDuration = 60000, stepDuration = 100) => {
+  let isSettled = false
+  promise.then(() => { isSettled = true }, () => { isSettled = true })
+  for (let time = 0; !isSettled && (time < maxDuration); time += stepDuration) {
+    clock.step(stepDuration)
+    await new Promise(resolve => setImmediate(resolve))
+  }
+  return promise
+}
+
+export {MatrixMonitor}
@@ -0,0 +1,57 @@
+import {test, before, after} from 'node:test'
+import assert from 'node:assert/strict'
+import {MatrixMonitor, createMonitor, stepUntil} from './helpers.js'
+
+// stand-ins for the browser's images and canvases: a canvas reads back the
+// pixels of the image drawn last, one gray level each
+class FakeImage {
+  constructor(width, height, grays, isLoaded = true) {
+    Object.assign(this, {width, height, grays, complete: isLoaded})
+  }
+  decode() {
+    return Promise.reject(new Error('Image cannot be decoded'))
+  }
+}
+class FakeCanvas {
+  getContext() {
+    let image = null
+    return {
+      drawImage: (drawn) => { image = drawn },
+      getImageData: () => ({
+        data: Uint8ClampedArray.from(image.grays.flatMap(gray => [gray, gray, gray, 255]))
+      })
+    }
+  }
+}
+const browserGlobals = {HTMLImageElement: FakeImage, OffscreenCanvas: FakeCanvas}
+
+before(() => Object.assign(globalThis, browserGlobals))
+after(() => Object.keys(browserGlobals).forEach(name => delete globalThis[name]))
+
+test('ramp functions keep the cells of dark images', () => {
+  const image = new FakeImage(3, 1, [0, 60, 120])
+  const table = MatrixMonitor.Image.fromRaster(image, {columns: 3, ramp: () => '#'})
+  assert.deepEqual(table, [[' ', '#', '#']])
+  const twoLevels = MatrixMonitor.Image.fromRaster(image, {columns: 3, ramp: () => '#', levels: 2})
+  assert.deepEqual(twoLevels, [[' ', ' ', ' ']])
+})
+
+test('the alphabet ramp takes a step of brightness per glyph', async () => {
+  const {monitor, clock} = await createMonitor({alphabet: 'AB'})
+  const image = new FakeImage(2, 1, [120, 255])
+  const drawn = monitor.draw(image, {ramp: 'alphabet', width: 2, height: 1, delay: 0})
+  // the rain falls through the columns of the image to show it, past its
+  // margin and padding
+  clock.step(10000)
+  const row = monitor.snapshot().rows[3]
+  assert.match(row[3].char + row[4].char, /^[AB]{2}$/)
+  drawn.remove()
+  await stepUntil(clock, drawn)
+  monitor.destroy()
+})
+
+test('images that cannot be decoded reject draw()', async () => {
+  const {monitor} = await createMonitor()
+  await assert.rejects(monitor.draw(new FakeImage(2, 1, [0, 0], false)), /cannot be decoded/)
+  monitor.destroy()
+})
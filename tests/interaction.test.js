@@ -0,0 +1,82 @@
+import {test, after} from 'node:test'
+import assert from 'node:assert/strict'
+import {createPageMonitor, closePage} from './dom.js'
+import {stepUntil} from './helpers.js'
+
+after(closePage)
+
+// sends a pointer event to the center of a cell; the element sits at the
+// top-left corner of the page
+const pointAt = (element, monitor, type, columnIndex, rowIndex) => {
+  const {paddingLeft, paddingTop, cellWidth, cellHeight, horizontalSpacing, verticalSpacing} =
+    monitor.snapshot().layout
+  element.dispatchEvent(new MouseEvent(type, {
+    clientX: paddingLeft + (columnIndex * (cellWidth + horizontalSpacing)) + (cellWidth / 2),
+    clientY: paddingTop + (rowIndex * (cellHeight + verticalSpacing)) + (cellHeight / 2)
+  }))
+}
+
+// the events of the given types, in the order they are emitted
+const recordEvents = (monitor, types) => {
+  const events = []
+  for (const type of types) {
+    monitor.on(type, data => events.push({type, ...data}))
+  }
+  return events
+}
+
+test('the container takes pointer input only when interactive', async () => {
+  const {monitor, element} = await createPageMonitor()
+  assert.equal(element.style.zIndex, '-1')
+  monitor.setOptions({partOnDrag: true})
+  assert.equal(element.style.zIndex, '0')
+  assert.equal(element.style.touchAction, 'none')
+  monitor.setOptions({partOnDrag: false})
+  assert.equal(element.style.zIndex, '-1')
+  monitor.destroy()
+})
+
+test('clicking a cell bursts droplets from it', async () => {
+  const {monitor, clock, element} = await createPageMonitor({burstOnClick: true})
+  const events = recordEvents(monitor, ['burst'])
+  pointAt(element, monitor, 'pointerdown', 2, 1)
+  pointAt(element, monitor, 'pointerup', 2, 1)
+  assert.deepEqual(events, [{type: 'burst', column: 2, row: 1}])
+  clock.step(500)
+  const {rows} = monitor.snapshot()
+  assert.ok(rows.slice(1).some(row => row[2].char))
+
+  monitor.setOptions({burstOnClick: false})
+  pointAt(element, monitor, 'pointerdown', 2, 1)
+  pointAt(element, monitor, 'pointerup', 2, 1)
+  assert.equal(events.length, 1)
+  monitor.destroy()
+})
+
+test('moving the pointer leaves a wake once per cell it enters', async () => {
+  const {monitor, clock, element} = await createPageMonitor({wakeOnMove: true})
+  await stepUntil(clock, monitor.start())
+  clock.step(2000)
+  const events = recordEvents(monitor, ['wake', 'burst'])
+  pointAt(element, monitor, 'pointermove', 1, 2)
+  pointAt(element, monitor, 'pointermove', 1, 2)
+  pointAt(element, monitor, 'pointermove', 2, 2)
+  assert.deepEqual(events, [
+    {type: 'wake', column: 1, row: 2},
+    {type: 'wake', column: 2, row: 2}
+  ])
+  monitor.destroy()
+})
+
+test('dragging parts the rain, and clicks without dragging do not', async () => {
+  const {monitor, clock, element} = await createPageMonitor({partOnDrag: true, burstOnClick: true})
+  await stepUntil(clock, monitor.start())
+  const events = recordEvents(monitor, ['part', 'burst'])
+  pointAt(element, monitor, 'pointerdown', 1, 1)
+  pointAt(element, monitor, 'pointermove', 1, 1)
+  assert.deepEqual(events, [])
+  pointAt(element, monitor, 'pointermove', 2, 2)
+  pointAt(element, monitor, 'pointerup', 2, 2)
+  assert.deepEqual(events, [{type: 'part', column: 2, row: 2}])
+  monitor.destroy()
+})
@@ -0,0 +1,67 @@
+import {test, after} from 'node:test'
+import assert from 'node:assert/strict'
+import {MatrixMonitor, createMonitor, createTerminal} from './helpers.js'
+import {createElement, createPageMonitor, closePage} from './dom.js'
+
+after(closePage)
+
+// the planes of the layers in the element, farthest first, by opacity; the
+// rain of the monitor itself comes after them
+const planesOf = (element) => [...element.children]
+  .filter(child => child.getAttribute('aria-hidden') === 'true' && child.style.opacity)
+  .map(plane => plane.style.opacity)
+
+test('layers in the terminal throw from the constructor and leave the stream free', () => {
+  const terminal = createTerminal()
+  const clock = MatrixMonitor.Clock.MANUAL()
+  assert.throws(() => new MatrixMonitor(terminal, {clock, layers: 'parallax'}),
+    /depth layers are not supported/)
+  new MatrixMonitor(terminal, {clock}).destroy()
+})
+
+test('setOptions leaves the options as they were when the host has no layers', async () => {
+  const {monitor} = await createMonitor()
+  const before = monitor.getOptions()
+  assert.throws(() => monitor.setOptions({layers: [{name: 'far'}]}), /depth layers/)
+  assert.deepEqual(monitor.getOptions(), before)
+  monitor.destroy()
+})
+
+test('layers rain in planes behind the page monitor, following setOptions', async () => {
+  const {monitor, element} = await createPageMonitor({layers: 'parallax'})
+  assert.deepEqual(planesOf(element), ['0.3', '0.55'])
+  assert.equal(element.children[0].style.filter, 'blur(1.5px)')
+  // each layer has a grid of its own
+  assert.ok(element.children[0].firstChild.children.length > 0)
+
+  monitor.setOptions({layers: [{name: 'near', opacity: 0.5}]})
+  assert.deepEqual(planesOf(element), ['0.5'])
+  monitor.setOptions({layers: null})
+  assert.deepEqual(planesOf(element), [])
+  assert.equal(element.children.length, monitor.snapshot().columns)
+  monitor.destroy()
+})
+
+test('a layer with an unknown renderer changes nothing of the page monitor', async () => {
+  const {monitor, element} = await createPageMonitor({layers: 'parallax'})
+  assert.throws(() => monitor.setOptions({layers: [{name: 'far', renderer: 'nope'}]}),
+    /Unknown renderer: nope/)
+  assert.equal(monitor.getOptions().layers, 'parallax')
+  assert.deepEqual(planesOf(element), ['0.3', '0.55'])
+  monitor.destroy()
+  assert.equal(element.children.length, 0)
+})
+
+test('a layer with an unknown renderer gives the element back from the constructor', async () => {
+  const element = createElement()
+  element.innerHTML = '<p>fallback</p>'
+  const clock = MatrixMonitor.Clock.MANUAL()
+  assert.throws(() => new MatrixMonitor(element, {clock, layers: [{name: 'far', renderer: 'nope'}]}),
+    /Unknown renderer: nope/)
+  assert.equal(element.innerHTML, '<p>fallback</p>')
+
+  const {monitor} = await createPageMonitor({layers: 'parallax'}, element)
+  assert.deepEqual(planesOf(element), ['0.3', '0.55'])
+  monitor.destroy()
+  assert.equal(element.innerHTML, '<p>fallback</p>')
+})
@@ -0,0 +1,72 @@
+import {test} from 'node:test'
+import assert from 'node:assert/strict'
+import {MatrixMonitor, createMonitor, stepUntil} from './helpers.js'
+
+test('setOptions changes nothing when any of the options is wrong', async () => {
+  const {monitor} = await createMonitor({fontColor: '#00ff00'})
+  const before = monitor.getOptions()
+  const wrongOptions = [
+    {fontColor: '#ff0000', palette: 'no-such-palette'},
+    {fontColor: '#ff0000', charset: 'no-such-charset'},
+    {fontColor: '#ff0000', glitches: ['NO_SUCH_GLITCH']},
+    {fontColor: '#ff0000', minCharStartDelay: 5000, maxCharStartDelay: 4000},
+    {fontColor: '#ff0000', cellWidth: 0},
+    {fontColor: '#ff0000', renderer: 'nope'},
+    {fontColor: '#ff0000', layers: 'parallax'},
+    {fontColor: '#ff0000', clock: {now: () => 0}}
+  ]
+  for (const options of wrongOptions) {
+    assert.throws(() => monitor.setOptions(options))
+    assert.deepEqual(monitor.getOptions(), before)
+  }
+  monitor.destroy()
+})
+
+test('a wrong renderer leaves the grid as it was', async () => {
+  const {monitor, clock, terminal} = await createMonitor()
+  const before = monitor.snapshot()
+  assert.throws(() => monitor.setOptions({renderer: 'nope'}), /Unknown renderer: nope/)
+  const after = monitor.snapshot()
+  assert.equal(after.columns, before.columns)
+  assert.equal(after.rows.length, before.rows.length)
+  terminal.output = ''
+  await stepUntil(clock, monitor.write('ok'))
+  assert.match(terminal.output, /k/)
+  monitor.destroy()
+})
+
+test('min and max options are checked against the current ones', async () => {
+  const {monitor} = await createMonitor({minCharStartDelay: 100, maxCharStartDelay: 200})
+  assert.throws(() => monitor.setOptions({minCharStartDelay: 300}),
+    /minCharStartDelay and maxCharStartDelay/)
+  monitor.setOptions({minCharStartDelay: 300, maxCharStartDelay: 400})
+  assert.equal(monitor.getOptions().minCharStartDelay, 300)
+  monitor.destroy()
+})
+
+test('Config.validate throws as the constructor would', () => {
+  assert.doesNotThrow(() => MatrixMonitor.Config.validate({theme: 'amber'}))
+  assert.throws(() => MatrixMonitor.Config.validate({mode: 'sideways'}), /mode/)
+  assert.throws(() => MatrixMonitor.Config.validate({feedOverflow: 'drop'}), /feedOverflow/)
+})
+
+test('colors and palettes are checked like the other options', () => {
+  const wrongOptions = [
+    [{fontColor: 'x'}, /fontColor: expected a color/],
+    [{onDelete: {backgroundColor: 'rgb(1, 2)'}}, /onDelete.backgroundColor: expected a color/],
+    [{palette: {by: 'column', hue: 'red'}}, /palette.hue: expected number or array/],
+    [{palette: {hue: [0, 'x']}}, /palette.hue\[1\]: expected number/],
+    [{palette: {lightness: [20, 120]}}, /palette.lightness\[1\]: expected a number from 0 to 100/],
+    [{palette: {saturation: [50]}}, /palette.saturation: expected 2 items/],
+    [{palette: {colors: ['#00ff00', 'nope']}}, /palette.colors\[1\]: expected a color/]
+  ]
+  for (const [options, message] of wrongOptions) {
+    assert.throws(() => MatrixMonitor.Config.validate(options), message)
+  }
+  for (const fontColor of ['#0f0', '#00ff0080', 'rgb(0, 255, 0)', 'hsl(120 100% 50%)', 'lime']) {
+    assert.doesNotThrow(() => MatrixMonitor.Config.validate({fontColor}))
+  }
+  assert.doesNotThrow(() => MatrixMonitor.Config.validate({
+    palette: {by: 'row', hue: [0, 300], saturation: 100, lightness: [25, 45]}
+  }))
+})
@@ -0,0 +1,66 @@
+import {test} from 'node:test'
+import assert from 'node:assert/strict'
+import {createMonitor, stepUntil} from './helpers.js'
+
+const lifecycleEvents = ['started', 'paused', 'resumed', 'stopped']
+
+// droplets starting within 200 ms of each main loop
+const quickRain = {minCharStartDelay: 0, maxCharStartDelay: 200}
+
+const listen = (monitor, events) => {
+  const heard = []
+  for (const event of events) {
+    monitor.on(event, () => heard.push(event))
+  }
+  return heard
+}
+
+// a glitch holding the rain for its duration, as DEJA_VU does
+const hold = (monitor, {duration}) => {
+  const release = monitor.holdRain()
+  return () => release(duration)
+}
+
+test('resume() lets the rain fall right away, without starting it again', async () => {
+  const {monitor, clock} = await createMonitor({...quickRain, initialDelay: 5000})
+  const heard = listen(monitor, lifecycleEvents)
+  await stepUntil(clock, monitor.start())
+  await stepUntil(clock, monitor.pause({allAtOnce: true}))
+  const droplets = listen(monitor, ['dropletStart'])
+  clock.step(1000)
+  assert.equal(droplets.length, 0)
+  await stepUntil(clock, monitor.resume())
+  clock.step(1000)
+  assert.ok(droplets.length > 0)
+  assert.deepEqual(heard, ['started', 'paused', 'resumed'])
+  monitor.destroy()
+})
+
+test('glitches hold the rain without telling the listeners', async () => {
+  const {monitor, clock} = await createMonitor(quickRain)
+  await stepUntil(clock, monitor.start({delay: 1}))
+  const heard = listen(monitor, lifecycleEvents)
+  const glitch = monitor.glitch(hold, {duration: 1000})
+  clock.step(100)
+  const droplets = listen(monitor, ['dropletStart'])
+  clock.step(500)
+  assert.equal(droplets.length, 0)
+  await stepUntil(clock, glitch)
+  clock.step(2000)
+  assert.ok(droplets.length > 0)
+  assert.deepEqual(heard, [])
+  monitor.destroy()
+})
+
+test('the rain paused during a hold stays paused once it is over', async () => {
+  const {monitor, clock} = await createMonitor(quickRain)
+  await stepUntil(clock, monitor.start({delay: 1}))
+  const glitch = monitor.glitch(hold, {duration: 500})
+  clock.step(100)
+  const paused = monitor.pause({allAtOnce: true})
+  await stepUntil(clock, Promise.all([glitch, paused]))
+  const droplets = listen(monitor, ['dropletStart'])
+  clock.step(5000)
+  assert.equal(droplets.length, 0)
+  monitor.destroy()
+})
@@ -0,0 +1,74 @@
+import {test} from 'node:test'
+import assert from 'node:assert/strict'
+import {createMonitor, createTerminal, stepUntil} from './helpers.js'
+
+const parseCast = (cast) => cast.trim().split('\n').map(line => JSON.parse(line))
+// the characters written at each position, escape codes aside
+const writtenAt = (output, row, column) => [
+  ...output.matchAll(new RegExp(`\\x1b\\[${row};${column}H(?:\\x1b\\[[\\d;]*m)*(.)`, 'g'))
+].map(match => match[1])
+
+test('recordings have the size of the screen, without the hidden row', async () => {
+  const {monitor, clock} = await createMonitor({charset: 'latin'}, createTerminal(20, 6))
+  const recording = monitor.record({title: 'rain'})
+  monitor.start({delay: 1})
+  clock.step(2000)
+  const [header, ...events] = parseCast(recording.stop())
+  assert.equal(header.version, 2)
+  assert.equal(header.width, 20)
+  assert.equal(header.height, 6)
+  assert.equal(header.title, 'rain')
+  assert.ok(events.length > 2)
+  for (const [, , data] of events) {
+    for (const [, row] of data.matchAll(/\x1b\[(\d+);\d+H/g)) {
+      assert.ok(Number(row) <= 6)
+    }
+  }
+  monitor.destroy()
+})
+
+test('a replay shows the recording again, then gives the screen back', async () => {
+  const source = await createMonitor({charset: 'latin'})
+  const recording = source.monitor.record()
+  source.monitor.restore({rows: [['H', 'I'].map(char => ({char}))]})
+  source.clock.step(1000)
+  const cast = recording.stop()
+  source.monitor.destroy()
+
+  const {monitor, clock, terminal} = await createMonitor({charset: 'latin'})
+  const events = []
+  monitor.on('replayStart', () => events.push('start'))
+  monitor.on('replayEnd', ({cancelled}) => events.push(cancelled ? 'cancelled' : 'end'))
+  const replay = monitor.replay(cast)
+  clock.step(500)
+  assert.deepEqual(writtenAt(terminal.output, 1, 1).slice(-1), ['H'])
+  assert.deepEqual(writtenAt(terminal.output, 1, 2).slice(-1), ['I'])
+  await stepUntil(clock, replay)
+  assert.deepEqual(events, ['start', 'end'])
+  clock.step(100)
+  assert.deepEqual(writtenAt(terminal.output, 1, 1).slice(-1), [' '])
+  monitor.destroy()
+})
+
+test('wide glyphs take two columns of the recording, and of the replay', async () => {
+  const source = await createMonitor({charset: 'matrix'})
+  const recording = source.monitor.record()
+  source.monitor.restore({rows: [['日', 'A'].map(char => ({char}))]})
+  source.clock.step(1000)
+  const cast = recording.stop()
+  source.monitor.destroy()
+  assert.equal(parseCast(cast)[0].width, 20)
+
+  const {monitor, clock, terminal} = await createMonitor({charset: 'matrix'})
+  monitor.replay(cast)
+  clock.step(500)
+  assert.deepEqual(writtenAt(terminal.output, 1, 1).slice(-1), ['日'])
+  assert.deepEqual(writtenAt(terminal.output, 1, 3).slice(-1), ['A'])
+  monitor.destroy()
+})
+
+test('only what is written can be replayed', async () => {
+  const {monitor} = await createMonitor()
+  assert.throws(() => monitor.replay(42), /Invalid recording/)
+  monitor.destroy()
+})
@@ -0,0 +1,82 @@
+import {test} from 'node:test'
+import assert from 'node:assert/strict'
+import {createMonitor, createTerminal, stepUntil} from './helpers.js'
+
+// narrow glyphs, so that each cell is a column of the terminal
+const options = {alphabet: '01', minCharStartDelay: 0, maxCharStartDelay: 200}
+const pinned = {delay: 0, duration: null}
+
+// the characters on screen, a line per row, dots where nothing is shown
+const screenOf = (monitor) => monitor.snapshot().rows
+  .map(row => row.map(cell => cell.char || '.').join(''))
+
+// the part of the screen from the given row and column
+const areaOf = (monitor, top, left, width, height) => screenOf(monitor)
+  .slice(top, top + height)
+  .map(line => line.slice(left, left + width))
+
+test('regions are placed by anchor, by cell and by percentages of the grid', async () => {
+  const {monitor, clock} = await createMonitor(options, createTerminal(20, 8))
+  // images are padded by a blank cell on each side, and anchors keep a
+  // margin of two cells
+  const centered = monitor.draw('AAA\nAAA', {...pinned, anchor: 'center'})
+  const placed = monitor.draw('BB', {...pinned, row: 0, column: 0})
+  clock.step(20000)
+  assert.deepEqual(areaOf(monitor, 3, 8, 3, 2), ['AAA', 'AAA'])
+  assert.deepEqual(areaOf(monitor, 1, 1, 2, 1), ['BB'])
+
+  centered.move({anchor: 'bottom-right'})
+  placed.move({column: '50%', row: 1, offsetX: -1})
+  clock.step(20000)
+  assert.deepEqual(areaOf(monitor, 3, 14, 3, 2), ['AAA', 'AAA'])
+  assert.deepEqual(areaOf(monitor, 2, 10, 2, 1), ['BB'])
+  monitor.destroy()
+})
+
+test('overlapping regions are layered by zIndex', async () => {
+  const {monitor, clock} = await createMonitor(options, createTerminal(20, 8))
+  const below = monitor.draw('AAA', {...pinned, row: 0, column: 0, zIndex: 2})
+  const above = monitor.draw('B', {...pinned, row: 0, column: 1, zIndex: 1})
+  clock.step(20000)
+  assert.deepEqual(areaOf(monitor, 1, 1, 3, 1), ['AAA'])
+
+  // the padding of the region on top blanks the cells around its image
+  above.move({zIndex: 3})
+  clock.step(20000)
+  assert.deepEqual(areaOf(monitor, 1, 1, 3, 1), ['.B.'])
+  below.remove()
+  above.remove()
+  monitor.destroy()
+})
+
+test('updating a region shows the new image in its place', async () => {
+  const {monitor, clock} = await createMonitor(options, createTerminal(20, 8))
+  const drawn = monitor.draw('AA', {...pinned, row: 0, column: 0})
+  clock.step(20000)
+  drawn.update('CCC')
+  clock.step(20000)
+  assert.deepEqual(areaOf(monitor, 1, 1, 3, 1), ['CCC'])
+  drawn.remove()
+  monitor.destroy()
+})
+
+test('removing regions resolves their promises and gives the columns back to the rain', async () => {
+  const {monitor, clock} = await createMonitor(options, createTerminal(20, 8))
+  const hidden = []
+  monitor.on('drawHidden', ({image}) => hidden.push(image))
+  const first = monitor.draw('AA', {...pinned, row: 0, column: 0})
+  const second = monitor.draw('BB', {...pinned, row: 3, column: 5})
+  // a region removed before it shows never does
+  const never = monitor.draw('CC', {delay: 5000})
+  clock.step(1000)
+  never.remove()
+  clock.step(20000)
+  first.remove()
+  second.remove()
+  await stepUntil(clock, Promise.all([first, second, never]))
+  assert.deepEqual(hidden, ['AA', 'BB'])
+
+  clock.step(20000)
+  assert.ok(screenOf(monitor).every(line => !/[ABC]/.test(line)))
+  monitor.destroy()
+})
@@ -0,0 +1,62 @@
+import {test, after} from 'node:test'
+import assert from 'node:assert/strict'
+import {createElement, createPageMonitor, closePage} from './dom.js'
+import {stepUntil} from './helpers.js'
+
+after(closePage)
+
+test('the DOM renderer makes a node for each column and cell, and writes the glyphs in them', async () => {
+  const {monitor, clock, element} = await createPageMonitor({renderer: 'dom'})
+  assert.equal(element.children.length, monitor.snapshot().columns)
+  const cells = [...element.children].flatMap(column => [...column.children])
+  assert.equal(cells.length, monitor.snapshot().columns * monitor.snapshot().rows.length)
+  const [first, second] = [...element.children].map(column => parseFloat(column.style.left))
+  assert.equal(second - first, monitor.snapshot().layout.cellWidth + monitor.snapshot().layout.horizontalSpacing)
+
+  await stepUntil(clock, monitor.start())
+  clock.step(2000)
+  const shown = cells.filter(cell => cell.innerText)
+  assert.ok(shown.length > 0)
+  assert.ok(shown.every(cell => cell.style.color !== ''))
+  monitor.destroy()
+})
+
+test('destroying gives the element its content and attributes back', async () => {
+  const element = createElement()
+  element.innerHTML = '<p>fallback</p>'
+  element.setAttribute('style', 'color: red;')
+  const {monitor, clock} = await createPageMonitor({renderer: 'dom'}, element)
+  clock.step(500)
+  monitor.destroy()
+  assert.equal(element.innerHTML, '<p>fallback</p>')
+  assert.equal(element.getAttribute('style'), 'color: red;')
+  assert.equal(element.getAttribute('aria-hidden'), null)
+})
+
+test('the canvas renderer draws the glyphs of the cells on one canvas', async () => {
+  const {monitor, clock, element} = await createPageMonitor({renderer: 'canvas'})
+  const canvases = element.querySelectorAll('canvas')
+  assert.equal(canvases.length, 1)
+  const {calls} = canvases[0].context
+  assert.equal(canvases[0].width, 200 * (window.devicePixelRatio || 1))
+
+  await stepUntil(clock, monitor.start())
+  clock.step(2000)
+  const glyphs = calls.filter(([method]) => method === 'fillText').map(([, char]) => char)
+  assert.ok(glyphs.length > 0)
+  const shown = monitor.snapshot().rows.flat().map(cell => cell.char).filter(Boolean)
+  assert.ok(shown.every(char => glyphs.includes(char)))
+  monitor.destroy()
+  assert.equal(element.querySelectorAll('canvas').length, 0)
+})
+
+test('switching renderers replaces the nodes of one with the canvas of the other', async () => {
+  const {monitor, clock, element} = await createPageMonitor({renderer: 'dom'})
+  clock.step(500)
+  monitor.setOptions({renderer: 'canvas'})
+  assert.deepEqual([...element.children].map(child => child.tagName), ['CANVAS'])
+  monitor.setOptions({renderer: 'dom'})
+  assert.equal(element.querySelectorAll('canvas').length, 0)
+  assert.equal(element.children.length, monitor.snapshot().columns)
+  monitor.destroy()
+})
@@ -0,0 +1,33 @@
+import {test} from 'node:test'
+import assert from 'node:assert/strict'
+import {ansiColor} from '../src/matrix-monitor-core.js'
+import {createMonitor, createTerminal} from './helpers.js'
+
+const green = [0, 180, 0, 1]
+
+test('colors follow the color depth of the terminal', () => {
+  assert.equal(ansiColor(green), '\x1b[38;2;0;180;0m')
+  assert.equal(ansiColor(green, true, 8), '\x1b[48;5;40m')
+  assert.equal(ansiColor(green, false, 4), '\x1b[32m')
+  assert.equal(ansiColor([255, 255, 255], true, 4), '\x1b[107m')
+  assert.equal(ansiColor([0, 0, 0], true, 4), '\x1b[40m')
+  assert.equal(ansiColor(green, false, 1), '')
+})
+
+const colorCodes = (output) => output.match(/\x1b\[[\d;]*m/g) || []
+
+for (const [colorDepth, isExpected] of [
+  [4, code => /^\x1b\[(3[0-7]|4[0-7]|9[0-7]|10[0-7]|0)m$/.test(code)],
+  [1, code => code === '\x1b[0m']
+]) {
+  test(`terminals with ${colorDepth}-bit colors get no other color codes`, async () => {
+    const terminal = {...createTerminal(), getColorDepth: () => colorDepth}
+    const {monitor, clock} = await createMonitor({minCharStartDelay: 0, maxCharStartDelay: 100}, terminal)
+    monitor.start({delay: 1})
+    clock.step(3000)
+    monitor.destroy()
+    const codes = colorCodes(terminal.output)
+    assert.ok(terminal.output.length > 100)
+    assert.deepEqual(codes.filter(code => !isExpected(code)), [])
+  })
+}
@@ -0,0 +1,44 @@
+import {test} from 'node:test'
+import assert from 'node:assert/strict'
+import {createMonitor, stepUntil} from './helpers.js'
+
+test('steps run in order, each one waiting for the previous', async () => {
+  const {monitor, clock} = await createMonitor()
+  const log = []
+  const timeline = monitor.play([
+    {call: () => log.push(['a', clock.now()])},
+    {wait: 500},
+    {call: () => log.push(['b', clock.now()])},
+    {loop: 2, steps: [{wait: 100}, {call: () => log.push(['c', clock.now()])}]}
+  ])
+  assert.equal(await stepUntil(clock, timeline), 'finished')
+  assert.deepEqual(log.map(([name]) => name), ['a', 'b', 'c', 'c'])
+  assert.ok(log[1][1] >= 500)
+  assert.ok(log[3][1] >= log[2][1] + 100)
+  monitor.destroy()
+})
+
+test('goto repeats the steps from the named one, as many times as given', async () => {
+  const {monitor} = await createMonitor()
+  let count = 0
+  const timeline = monitor.play([
+    {name: 'again', call: () => count++},
+    {goto: 'again', times: 2}
+  ])
+  assert.equal(await timeline, 'finished')
+  assert.equal(count, 3)
+  assert.throws(() => monitor.play([{goto: 'nowhere'}]), /Unknown timeline step name: nowhere/)
+  monitor.destroy()
+})
+
+test('a cancelled timeline stops where it is', async () => {
+  const {monitor, clock} = await createMonitor()
+  const log = []
+  const timeline = monitor.play([{wait: 1000}, {call: () => log.push('late')}])
+  clock.step(100)
+  timeline.cancel()
+  clock.step(2000)
+  assert.equal(await timeline, 'cancelled')
+  assert.deepEqual(log, [])
+  monitor.destroy()
+})
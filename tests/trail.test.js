@@ -0,0 +1,67 @@
+import {test} from 'node:test'
+import assert from 'node:assert/strict'
+import {createMonitor} from './helpers.js'
+
+const trailOptions = {
+  mode: 'trail',
+  minTrailLength: 3,
+  maxTrailLength: 5,
+  minCharStartDelay: 0,
+  maxCharStartDelay: 500,
+  minCharProgression: 50,
+  maxCharProgression: 100
+}
+
+// the characters on screen, column by column
+const columnsOf = (monitor) => {
+  const {rows, columns} = monitor.snapshot()
+  return Array.from({length: columns}, (value, i) => rows.map(row => row[i].char).filter(Boolean))
+}
+
+test('trails have a length in range and leave blank cells behind them', async () => {
+  const {monitor, clock} = await createMonitor({...trailOptions, maxDropletsPerColumn: 1},
+    {columns: 20, rows: 12, output: '', write: () => true})
+  const lengths = []
+  monitor.on('dropletStart', ({length}) => lengths.push(length))
+  monitor.start({delay: 1})
+  for (let i = 0; i < 50; i++) {
+    clock.step(100)
+    for (const chars of columnsOf(monitor)) {
+      assert.ok(chars.length <= 5, `${chars.length} characters in a column`)
+    }
+  }
+  assert.ok(lengths.length > 20)
+  assert.ok(lengths.every(length => (length >= 3) && (length <= 5)))
+  monitor.destroy()
+})
+
+test('the density tells the share of columns raining at once', async () => {
+  const mostRainingColumns = async (density) => {
+    const {monitor, clock} = await createMonitor({...trailOptions, density, maxDropletsPerColumn: 1})
+    monitor.start({delay: 1})
+    let mostColumns = 0
+    for (let i = 0; i < 50; i++) {
+      clock.step(100)
+      const rainingColumns = columnsOf(monitor).filter(chars => chars.length > 0).length
+      mostColumns = Math.max(mostColumns, rainingColumns)
+    }
+    const {columns} = monitor.snapshot()
+    monitor.destroy()
+    return mostColumns / columns
+  }
+  const sparse = await mostRainingColumns(0.25)
+  assert.ok((sparse > 0) && (sparse <= 0.3), `${sparse} of the columns`)
+  assert.ok(await mostRainingColumns(1) > 0.5)
+})
+
+test('trails give way to whole columns in classic mode', async () => {
+  const {monitor, clock} = await createMonitor(trailOptions)
+  monitor.start({delay: 1})
+  clock.step(2000)
+  monitor.setOptions({mode: 'classic', minCharStartDelay: 0, maxCharStartDelay: 100})
+  clock.step(10000)
+  // each column but its hidden last row is full
+  const columns = columnsOf(monitor)
+  assert.ok(columns.every(chars => chars.length >= 5), columns.map(chars => chars.length).join())
+  monitor.destroy()
+})
@@ -0,0 +1,75 @@
+import {test} from 'node:test'
+import assert from 'node:assert/strict'
+import {MatrixMonitor, createMonitor, createTerminal, stepUntil} from './helpers.js'
+
+// narrow glyphs, none of them digits, so that the digits on screen are the widget's
+const options = {alphabet: 'ab', minCharStartDelay: 0, maxCharStartDelay: 200}
+
+// the characters on screen, a line per row, dots where nothing is shown
+const screenOf = (monitor) => monitor.snapshot().rows
+  .map(row => row.map(cell => cell.char || '.').join(''))
+
+// the characters written to the terminal, without the escape codes
+const textOf = (output) => output.replace(/\x1b\[[0-9;?]*[a-zA-Z]/g, '')
+
+// widgets wait for their font, even without one
+const settle = () => new Promise(resolve => setImmediate(resolve))
+
+test('widgets render their provider again every interval, writing only what changed', async () => {
+  const {monitor, clock, terminal} = await createMonitor(options, createTerminal(20, 8))
+  let value = 24
+  const widget = monitor.widget(() => value, {row: 0, column: 0, delay: 0, interval: 1000})
+  await settle()
+  clock.step(20000)
+  assert.equal(screenOf(monitor)[1].slice(1, 3), '24')
+
+  value = 25
+  terminal.output = ''
+  clock.step(1000)
+  assert.equal(screenOf(monitor)[1].slice(1, 3), '25')
+  assert.match(textOf(terminal.output), /5/)
+  assert.doesNotMatch(textOf(terminal.output), /2/)
+
+  // a value of another size is laid out again, and shown by the rain
+  value = 100
+  clock.step(20000)
+  assert.equal(screenOf(monitor)[1].slice(1, 4), '100')
+  widget.remove()
+  await widget
+  monitor.destroy()
+})
+
+test('the rain goes on in the columns next to a widget', async () => {
+  const {monitor, clock} = await createMonitor(options, createTerminal(20, 8))
+  const widget = monitor.widget(() => 'ok', {row: 0, column: 0, delay: 0})
+  await settle()
+  await stepUntil(clock, monitor.start())
+  clock.step(5000)
+  const before = screenOf(monitor).map(line => line.slice(6)).join('')
+  clock.step(5000)
+  const after = screenOf(monitor).map(line => line.slice(6)).join('')
+  assert.match(after, /[ab]/)
+  assert.notEqual(after, before)
+  widget.remove()
+  monitor.destroy()
+})
+
+test('widgets need a provider function', async () => {
+  const {monitor} = await createMonitor(options)
+  assert.throws(() => monitor.widget('12:00'), /provider must be a function/)
+  monitor.destroy()
+})
+
+test('the clock and countdown providers format the time', (t) => {
+  t.mock.timers.enable({apis: ['Date'], now: new Date(2020, 0, 1, 13, 5, 9)})
+  assert.equal(MatrixMonitor.Widget.CLOCK()(), '13:05:09')
+  assert.equal(MatrixMonitor.Widget.CLOCK({seconds: false, hour12: true})(), '01:05')
+
+  const countdown = MatrixMonitor.Widget.COUNTDOWN(new Date(2020, 0, 2, 14, 6, 10), {finished: 'now'})
+  assert.equal(countdown(), '01:01:01:01')
+  t.mock.timers.tick(90061000 - 1000)
+  assert.equal(countdown(), '00:00:01')
+  t.mock.timers.tick(1000)
+  assert.equal(countdown(), 'now')
+  assert.throws(() => MatrixMonitor.Widget.COUNTDOWN('someday'), /Invalid countdown target/)
+})